@@ -0,0 +1,43 @@
+
+/*
+Arcball rotation (Ken Shoemake, 1992).
+Points on the screen are lifted onto a sphere in front of the view and
+dragging from one point to another rotates by twice the angle between
+them on the sphere, around the axis perpendicular to both.
+Unlike turning by angles for each screen axis, the rotation only depends on
+where the drag starts and ends, so long drags never get stuck or tumble.
+*/
+
+import { Vec3, Quat } from "./linearAlgebraUtils.js";
+
+/**
+ * Returns the point on the arcball under a point on the screen as a unit Vec3.
+ * clipPos - Vec2 in clip coordinates (see windowToClipSpace).
+ * radius - radius of the arcball in clip coordinates, centered on the screen.
+ * Points outside the arcball are put on its edge.
+ */
+function getArcballPoint(clipPos, radius) {
+    const x = clipPos[0] / radius;
+    const y = clipPos[1] / radius;
+
+    const lengthSquared = (x * x) + (y * y);
+    if (lengthSquared > 1) {
+        const length = Math.sqrt(lengthSquared);
+        return Vec3.fromValues(x / length, y / length, 0);
+    }
+
+    return Vec3.fromValues(x, y, Math.sqrt(1 - lengthSquared));
+}
+
+/**
+ * Returns the rotation (Quat) of dragging the arcball from one point to another.
+ * from, to - points on the arcball (see getArcballPoint).
+ */
+function getArcballRotation(from, to) {
+    const axis = Vec3.cross(Vec3.create(), from, to);
+
+    // A unit quaternion for twice the angle between the points.
+    return Quat.fromValues(axis[0], axis[1], axis[2], Vec3.dot(from, to));
+}
+
+export { getArcballPoint, getArcballRotation };
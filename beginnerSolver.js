@@ -0,0 +1,435 @@
+
+/*
+A layer by layer solver that solves the cube the way a beginner would:
+cross, first layer corners, second layer edges,
+then the last layer with beginner algorithms.
+Every group of moves is labeled with its step and a reason.
+*/
+
+import { CORNER_NAMES, EDGE_NAMES, EDGE_COLORS, MOVE_NAMES, MOVE_CUBES } from "./cubie.js";
+
+// Side faces in the order they come to the front when turning the whole cube with y.
+const SIDES = ["F", "R", "B", "L"];
+
+// Side face of each U layer edge position (UR, UF, UL, UB).
+const U_EDGE_SIDES = ["R", "F", "L", "B"];
+
+// The frame whose front right slot is each D layer corner or middle layer edge position.
+const CORNER_SLOT_FRAMES = { 4: 0, 7: 1, 6: 2, 5: 3 };
+const EDGE_SLOT_FRAMES = { 8: 0, 11: 1, 10: 2, 9: 3 };
+
+const CROSS_EDGES = [5, 4, 7, 6]; // DF, DR, DB, DL
+const FIRST_LAYER_CORNERS = [4, 7, 6, 5]; // DFR, DRB, DBL, DLF
+const SECOND_LAYER_EDGES = [8, 11, 10, 9]; // FR, BR, BL, FL
+
+const MAX_CROSS_DEPTH = 8;
+
+const SEXY_MOVE = "R U R' U'";
+const RIGHT_INSERT = "U R U' R' U' F' U F";
+const LEFT_INSERT = "U' L' U L U F U' F'";
+const EDGE_FLIP = "F R U R' U' F'";
+const SUNE = "R U R' U R U2 R'";
+const ANTI_SUNE = "R U2 R' U' R U' R'";
+const CORNER_CYCLE = "R' F R' B2 R F' R' B2 R2";
+const EDGE_CYCLE_A = "R U' R U R U R U' R' U' R2";
+const EDGE_CYCLE_B = "R2 U R U R' U' R' U' R' U R'";
+
+/**
+ * Returns the names of the faces in frame k.
+ * Frame k is the cube seen after k quarter turns of the whole cube with y.
+ */
+function getFrame(k) {
+    return {
+        front: SIDES[k % 4],
+        right: SIDES[(k + 1) % 4],
+        back: SIDES[(k + 2) % 4],
+        left: SIDES[(k + 3) % 4]
+    };
+}
+
+/**
+ * Rewrites an algorithm written for frame 0 so it is done in frame k.
+ */
+function inFrame(alg, k) {
+    const frame = getFrame(k);
+    const faces = {
+        "U": "U", "D": "D",
+        "F": frame.front, "R": frame.right,
+        "B": frame.back, "L": frame.left
+    };
+
+    return alg.split(" ").map(name => faces[name[0]] + name.substring(1)).join(" ");
+}
+
+/**
+ * Returns the U turns that move a piece in the U layer from one position to another.
+ * Each U moves a piece from position p to (p + 1) % 4.
+ */
+function uTurns(from, to) {
+    return ["", "U", "U2", "U'"][(to - from + 4) % 4];
+}
+
+/**
+ * Merges turns of the same face that follow each other (e.g. "U U" to "U2").
+ */
+function simplifyMoves(names) {
+    const result = [];
+
+    for (const name of names) {
+        const amount = name.endsWith("2") ? 2 : (name.endsWith("'") ? 3 : 1);
+
+        const last = result[result.length - 1];
+        if (last && last.face === name[0]) {
+            last.amount = (last.amount + amount) % 4;
+            if (last.amount === 0) result.pop();
+        } else {
+            result.push({ face: name[0], amount });
+        }
+    }
+
+    return result.map(m => m.face + ["", "", "2", "'"][m.amount]);
+}
+
+/**
+ * Solves a CubieCube with the beginner's method.
+ * Returns an array of steps { name, reason, moves } where moves is an array of move names.
+ */
+function solveBeginner(cube) {
+    cube = cube.clone();
+
+    const steps = [];
+
+    function addStep(name, reason, alg) {
+        const moves = simplifyMoves(alg.split(" ").filter(s => s !== ""));
+        if (moves.length === 0) return;
+
+        for (const m of moves) {
+            cube.move(MOVE_NAMES.indexOf(m));
+        }
+
+        steps.push({ name, reason, moves });
+    }
+
+    solveCross(cube, addStep);
+    solveFirstLayerCorners(cube, addStep);
+    solveSecondLayerEdges(cube, addStep);
+    solveLastLayer(cube, addStep);
+
+    if (!cube.isSolved()) {
+        throw new Error("Invalid state.");
+    }
+
+    return steps;
+}
+
+/*
+Cross
+*/
+
+// Next state (position * 2 + orientation) of an edge after each move.
+const EDGE_STATE_MOVES = MOVE_CUBES.map(function (m) {
+    const next = Array(24);
+    for (let i = 0; i < 12; ++i) {
+        const from = m.ep[i];
+        for (let o = 0; o < 2; ++o) {
+            next[(from * 2) + o] = (i * 2) + ((o + m.eo[i]) % 2);
+        }
+    }
+    return next;
+});
+
+// Moves needed to solve each edge on its own from each state.
+const EDGE_DISTANCES = EDGE_NAMES.map(function (name, e) {
+    const dist = Array(24).fill(-1);
+    dist[e * 2] = 0;
+
+    let frontier = [e * 2];
+    while (frontier.length > 0) {
+        const next = [];
+        for (const s of frontier) {
+            for (const moves of EDGE_STATE_MOVES) {
+                const t = moves[s];
+                if (dist[t] === -1) {
+                    dist[t] = dist[s] + 1;
+                    next.push(t);
+                }
+            }
+        }
+        frontier = next;
+    }
+
+    return dist;
+});
+
+/**
+ * Returns the fewest face turns that solve all the edges given,
+ * found by iterative deepening.
+ */
+function searchEdges(cube, edges) {
+    const states = edges.map(function (e) {
+        const pos = cube.ep.indexOf(e);
+        return (pos * 2) + cube.eo[pos];
+    });
+
+    const heuristic = s => Math.max(...s.map((state, i) => EDGE_DISTANCES[edges[i]][state]));
+
+    const path = [];
+
+    function search(s, togo, prevFace) {
+        const h = heuristic(s);
+        if (h === 0) return true;
+        if (h > togo) return false;
+
+        for (let m = 0; m < MOVE_NAMES.length; ++m) {
+            const face = Math.floor(m / 3);
+            if (face === prevFace || face === prevFace - 3) continue;
+
+            path.push(m);
+            if (search(s.map(state => EDGE_STATE_MOVES[m][state]), togo - 1, face)) return true;
+            path.pop();
+        }
+
+        return false;
+    }
+
+    for (let depth = 0; depth <= MAX_CROSS_DEPTH; ++depth) {
+        if (search(states, depth, -1)) {
+            return path.map(m => MOVE_NAMES[m]).join(" ");
+        }
+    }
+
+    throw new Error("Invalid state.");
+}
+
+function solveCross(cube, addStep) {
+    for (let i = 0; i < CROSS_EDGES.length; ++i) {
+        const edge = CROSS_EDGES[i];
+
+        const alg = searchEdges(cube, CROSS_EDGES.slice(0, i + 1));
+        addStep("Cross",
+            "Bring the " + EDGE_NAMES[edge] + " edge down next to its centers" +
+            (i === 0 ? "." : " without breaking the cross edges already placed."),
+            alg);
+    }
+}
+
+/*
+First layer corners
+*/
+
+function solveFirstLayerCorners(cube, addStep) {
+    const isSolved = c => cube.cp[c] === c && cube.co[c] === 0;
+
+    for (const corner of FIRST_LAYER_CORNERS) {
+        const name = CORNER_NAMES[corner];
+
+        let pos = cube.cp.indexOf(corner);
+
+        if (pos >= 4 && !isSolved(corner)) {
+            const frame = getFrame(CORNER_SLOT_FRAMES[pos]);
+            addStep("First layer corners",
+                "The " + name + " corner is stuck in the bottom layer, " +
+                "take it out with R U R' U' holding " + frame.front + " in front.",
+                inFrame(SEXY_MOVE, CORNER_SLOT_FRAMES[pos]));
+
+            pos = cube.cp.indexOf(corner);
+        }
+
+        if (pos < 4) {
+            addStep("First layer corners",
+                "Turn U so the " + name + " corner is above where it belongs.",
+                uTurns(pos, corner - 4));
+        }
+
+        const k = CORNER_SLOT_FRAMES[corner];
+        const frame = getFrame(k);
+
+        let alg = [];
+        const test = cube.clone();
+        while (!(test.cp[corner] === corner && test.co[corner] === 0)) {
+            const sexy = inFrame(SEXY_MOVE, k);
+            for (const m of sexy.split(" ")) test.move(MOVE_NAMES.indexOf(m));
+            alg.push(sexy);
+
+            if (alg.length > 5) throw new Error("Invalid state.");
+        }
+
+        addStep("First layer corners",
+            "Holding " + frame.front + " in front, repeat R U R' U' " +
+            (alg.length === 1 ? "once" : alg.length + " times") +
+            " until the " + name + " corner is solved.",
+            alg.join(" "));
+    }
+}
+
+/*
+Second layer edges
+*/
+
+function solveSecondLayerEdges(cube, addStep) {
+    const isSolved = e => cube.ep[e] === e && cube.eo[e] === 0;
+
+    for (const edge of SECOND_LAYER_EDGES) {
+        if (isSolved(edge)) continue;
+
+        const name = EDGE_NAMES[edge];
+
+        let pos = cube.ep.indexOf(edge);
+
+        if (pos >= 8) {
+            const k = EDGE_SLOT_FRAMES[pos];
+            addStep("Second layer",
+                "The " + name + " edge is in the wrong slot or flipped, " +
+                "take it out with the right insert holding " + getFrame(k).front + " in front.",
+                inFrame(RIGHT_INSERT, k));
+
+            pos = cube.ep.indexOf(edge);
+        }
+
+        // The sticker facing up goes to the side it is turned towards.
+        const o = cube.eo[pos];
+        const topFace = EDGE_COLORS[edge][o];
+        const sideFace = EDGE_COLORS[edge][1 - o];
+
+        const target = U_EDGE_SIDES.indexOf(sideFace);
+        addStep("Second layer",
+            "Turn U so the " + name + " edge lines up with the " + sideFace + " center.",
+            uTurns(pos, target));
+
+        const k = SIDES.indexOf(sideFace);
+        const frame = getFrame(k);
+
+        if (topFace === frame.right) {
+            addStep("Second layer",
+                "Holding " + frame.front + " in front, insert the " + name +
+                " edge to the right with U R U' R' U' F' U F.",
+                inFrame(RIGHT_INSERT, k));
+        } else {
+            addStep("Second layer",
+                "Holding " + frame.front + " in front, insert the " + name +
+                " edge to the left with U' L' U L U F U' F'.",
+                inFrame(LEFT_INSERT, k));
+        }
+    }
+}
+
+/*
+Last layer
+*/
+
+/**
+ * Finds the fewest algorithms (each done in any of the four frames)
+ * that make a goal true. Tries every combination up to a depth.
+ * algs - array of { alg, reason } written for frame 0.
+ * Returns an array of { alg, reason } rewritten for their frames.
+ */
+function searchAlgorithms(cube, algs, goal, maxDepth) {
+    const choices = [];
+    for (const a of algs) {
+        for (let k = 0; k < 4; ++k) {
+            const alg = inFrame(a.alg, k);
+            const moves = alg.split(" ").map(m => MOVE_NAMES.indexOf(m));
+            choices.push({ alg, moves, reason: a.reason(getFrame(k)) });
+        }
+    }
+
+    const path = [];
+
+    function search(c, togo) {
+        if (goal(c)) return true;
+        if (togo === 0) return false;
+
+        for (const choice of choices) {
+            const next = c.clone();
+            for (const m of choice.moves) next.move(m);
+
+            path.push(choice);
+            if (search(next, togo - 1)) return true;
+            path.pop();
+        }
+
+        return false;
+    }
+
+    for (let depth = 0; depth <= maxDepth; ++depth) {
+        if (search(cube, depth)) return path.slice();
+    }
+
+    throw new Error("Invalid state.");
+}
+
+// Returns the cube after turning U until it is solved, or null if it can not be.
+function withAUF(cube, check) {
+    const c = cube.clone();
+    for (let i = 0; i < 4; ++i) {
+        if (check(c)) return c;
+        c.move(MOVE_NAMES.indexOf("U"));
+    }
+    return null;
+}
+
+const hold = frame => "Holding " + frame.front + " in front, ";
+
+const LAST_LAYER_STEPS = [
+    {
+        name: "Last layer cross",
+        algs: [{
+            alg: EDGE_FLIP,
+            reason: f => hold(f) + "do F R U R' U' F' to flip the top edges."
+        }],
+        goal: c => [0, 1, 2, 3].every(i => c.eo[i] === 0),
+        maxDepth: 3
+    },
+    {
+        name: "Orient last layer",
+        algs: [{
+            alg: SUNE,
+            reason: f => hold(f) + "do the Sune R U R' U R U2 R' to twist the top corners."
+        }, {
+            alg: ANTI_SUNE,
+            reason: f => hold(f) + "do the Anti-Sune R U2 R' U' R U' R' to twist the top corners."
+        }],
+        goal: c => [0, 1, 2, 3].every(i => c.co[i] === 0),
+        maxDepth: 3
+    },
+    {
+        name: "Permute last layer corners",
+        algs: [{
+            alg: CORNER_CYCLE,
+            reason: f => hold(f) + "cycle three top corners with R' F R' B2 R F' R' B2 R2."
+        }],
+        goal: c => withAUF(c, x => [0, 1, 2, 3].every(i => x.cp[i] === i)) !== null,
+        maxDepth: 3
+    },
+    {
+        name: "Permute last layer edges",
+        algs: [{
+            alg: EDGE_CYCLE_A,
+            reason: f => hold(f) + "cycle three top edges with R U' R U R U R U' R' U' R2."
+        }, {
+            alg: EDGE_CYCLE_B,
+            reason: f => hold(f) + "cycle three top edges with R2 U R U R' U' R' U' R' U R'."
+        }],
+        goal: c => withAUF(c, x => x.isSolved()) !== null,
+        maxDepth: 3
+    }
+];
+
+function solveLastLayer(cube, addStep) {
+    for (const step of LAST_LAYER_STEPS) {
+        const algs = searchAlgorithms(cube, step.algs, step.goal, step.maxDepth);
+
+        for (const a of algs) {
+            addStep(step.name, a.reason, a.alg);
+        }
+    }
+
+    for (let i = 0; i < 4 && !cube.isSolved(); ++i) {
+        const test = cube.clone().move(MOVE_NAMES.indexOf(["U", "U2", "U'"][i]));
+        if (test.isSolved()) {
+            addStep("Align last layer", "Turn U to line up the last layer with the rest of the cube.", ["U", "U2", "U'"][i]);
+        }
+    }
+}
+
+export { solveBeginner, simplifyMoves };
@@ -0,0 +1,123 @@
+
+/*
+The camera looking at the cube down the negative Z-axis.
+It can be zoomed (moved closer or further), panned (moved sideways)
+and switched between a perspective and an orthographic projection.
+Changes set a target that the camera moves to smoothly each frame.
+*/
+
+import { initOptions } from "./utils.js";
+import { Mat4, translateMat4, identityMat4, degreesToRadians } from "./linearAlgebraUtils.js";
+
+// Nearer parts of the scene than this are not drawn.
+// A near plane much closer than the cube leaves too little depth precision
+// to keep the stickers in front of the cubelets they are on.
+const NEAR_PLANE = 0.01;
+const FAR_PLANE = 1000;
+
+/**
+ * Creates a camera.
+ * options
+ *   .distance      distance from the center of the scene when not zoomed.
+ *   .minDistance   closest the camera can zoom to.
+ *   .maxDistance   furthest the camera can zoom to.
+ *   .maxPan        furthest the camera can be panned from the center along each axis.
+ *   .fieldOfView   vertical field of view of the perspective projection in degrees.
+ *   .smoothingMs   time for the camera to move about two thirds of the way to its target.
+ */
+function Camera(options) {
+    const DEFAULTS = {
+        distance: 4,
+        minDistance: 2,
+        maxDistance: 10,
+        maxPan: 2,
+        fieldOfView: 90,
+        smoothingMs: 60
+    };
+    options = initOptions(options, DEFAULTS);
+
+    const clamp = (x, min, max) => Math.min(Math.max(x, min), max);
+
+    // The camera is moved the rest of the way when this close to its target.
+    const SETTLE_DISTANCE = 1e-4;
+
+    const obj = {
+        distance: options.distance,
+        // Offset [x, y] of the camera from the center of the scene.
+        pan: [0, 0],
+        targetDistance: options.distance,
+        targetPan: [0, 0],
+        isOrthographic: false,
+        /**
+         * Sets how far the camera moves to, within the zoom limits.
+         */
+        setDistance: function (distance) {
+            this.targetDistance = clamp(distance, options.minDistance, options.maxDistance);
+        },
+        /**
+         * Sets where the camera pans to, within the pan limits.
+         */
+        setPan: function (pan) {
+            this.targetPan = pan.map(e => clamp(e, -options.maxPan, options.maxPan));
+        },
+        /**
+         * Puts the camera back where it started.
+         */
+        reset: function () {
+            this.setDistance(options.distance);
+            this.setPan([0, 0]);
+        },
+        /**
+         * Moves the camera toward its target.
+         * Returns true if it moved.
+         */
+        update: function (deltaTimeMs) {
+            const offsets = [
+                this.targetDistance - this.distance,
+                this.targetPan[0] - this.pan[0],
+                this.targetPan[1] - this.pan[1]
+            ];
+            if (offsets.every(e => e === 0)) return false;
+
+            // Eases out, the same way however long the frames are.
+            let t = 1 - Math.exp(-deltaTimeMs / options.smoothingMs);
+            if (offsets.every(e => Math.abs(e) < SETTLE_DISTANCE)) {
+                t = 1;
+            }
+
+            this.distance += offsets[0] * t;
+            this.pan = [this.pan[0] + (offsets[1] * t), this.pan[1] + (offsets[2] * t)];
+            return true;
+        },
+        /**
+         * Returns the transform of the camera in world space.
+         */
+        getTransform: function () {
+            return translateMat4(identityMat4(), [this.pan[0], this.pan[1], this.distance]);
+        },
+        /**
+         * Returns half the height of the view at the center of the scene in world units.
+         * Both projections show the same amount of the scene there.
+         */
+        getViewHalfHeight: function () {
+            return this.distance * Math.tan(degreesToRadians(options.fieldOfView) / 2);
+        },
+        /**
+         * Returns the projection matrix for a view with an aspect ratio (width / height).
+         */
+        getProjectionMatrix: function (aspect) {
+            if (this.isOrthographic) {
+                const h = this.getViewHalfHeight();
+                const w = h * aspect;
+                return Mat4.ortho(Mat4.create(), -w, w, -h, h, NEAR_PLANE, FAR_PLANE);
+            }
+
+            const fieldOfView = degreesToRadians(options.fieldOfView);
+            return Mat4.perspective(Mat4.create(), fieldOfView, aspect, NEAR_PLANE, FAR_PLANE);
+        }
+    };
+
+    return obj;
+}
+
+export { Camera };
@@ -0,0 +1,105 @@
+
+import { formatTime } from "./timer.js";
+
+const MARGIN = 20;
+const AXIS_COLOR = "#353535";
+const FONT = "10px sans-serif";
+
+/**
+ * Clears a canvas and returns its 2D context.
+ */
+function clearCanvas(canvas) {
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = FONT;
+    return ctx;
+}
+
+/**
+ * Draws a histogram from getHistogram.
+ */
+function drawHistogram(canvas, histogram) {
+    const ctx = clearCanvas(canvas);
+    if (histogram === null) return;
+
+    const { min, binSize, counts } = histogram;
+    const maxCount = Math.max(...counts);
+
+    const width = canvas.width - (2 * MARGIN);
+    const height = canvas.height - (2 * MARGIN);
+    const barWidth = width / counts.length;
+
+    ctx.fillStyle = "#003DA5";
+    counts.forEach(function (count, i) {
+        const barHeight = (count / maxCount) * height;
+        ctx.fillRect(
+            MARGIN + (i * barWidth) + 1, MARGIN + height - barHeight,
+            barWidth - 2, barHeight);
+    });
+
+    ctx.fillStyle = AXIS_COLOR;
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText(formatTime(min), MARGIN, MARGIN + height + 4);
+    ctx.textAlign = "right";
+    ctx.fillText(formatTime(min + (binSize * counts.length)), MARGIN + width, MARGIN + height + 4);
+    ctx.textBaseline = "bottom";
+    ctx.fillText(String(maxCount), MARGIN - 4, MARGIN + 10);
+}
+
+/**
+ * Draws lines of times in the order they were done.
+ * series - array of { values, color } where values are times in milliseconds.
+ *          null and Infinity (DNF) values leave gaps.
+ */
+function drawTrend(canvas, series) {
+    const ctx = clearCanvas(canvas);
+
+    const finite = series.flatMap(s => s.values).filter(v => v !== null && v !== Infinity);
+    if (finite.length === 0) return;
+
+    const min = finite.reduce((a, b) => Math.min(a, b));
+    const max = finite.reduce((a, b) => Math.max(a, b));
+    const range = Math.max(max - min, 1);
+
+    const numPoints = Math.max(...series.map(s => s.values.length));
+
+    const width = canvas.width - (2 * MARGIN);
+    const height = canvas.height - (2 * MARGIN);
+
+    const toX = i => MARGIN + (numPoints > 1 ? (i / (numPoints - 1)) * width : width / 2);
+    const toY = v => MARGIN + height - (((v - min) / range) * height);
+
+    for (const { values, color } of series) {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.beginPath();
+
+        let isDrawing = false;
+        values.forEach(function (v, i) {
+            if (v === null || v === Infinity) {
+                isDrawing = false;
+                return;
+            }
+
+            if (isDrawing) {
+                ctx.lineTo(toX(i), toY(v));
+            } else {
+                ctx.moveTo(toX(i), toY(v));
+                isDrawing = true;
+            }
+            ctx.fillRect(toX(i) - 1, toY(v) - 1, 2, 2);
+        });
+
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = AXIS_COLOR;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(formatTime(max), 2, 2);
+    ctx.textBaseline = "bottom";
+    ctx.fillText(formatTime(min), 2, canvas.height - 2);
+}
+
+export { drawHistogram, drawTrend };
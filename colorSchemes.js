@@ -0,0 +1,132 @@
+
+/*
+Colors of the faces of the cube.
+A color scheme gives each face (U, D, F, B, R, L) a color like "#BA0C2F".
+The body is the color of the plastic between the stickers.
+The colors chosen are kept in localStorage.
+*/
+
+const COLOR_SCHEMES = {
+    // The official colors of the Rubik's Cube.
+    "western": {
+        name: "Western",
+        faces: {
+            "U": "#FFFFFF", "D": "#FFD700",
+            "F": "#BA0C2F", "B": "#FE5000",
+            "R": "#003DA5", "L": "#009A44"
+        }
+    },
+    // Blue is opposite white and yellow is opposite green.
+    "japanese": {
+        name: "Japanese",
+        faces: {
+            "U": "#FFFFFF", "D": "#003DA5",
+            "F": "#BA0C2F", "B": "#FE5000",
+            "R": "#FFD700", "L": "#009A44"
+        }
+    },
+    "high-contrast": {
+        name: "High contrast",
+        faces: {
+            "U": "#FFFFFF", "D": "#FFFF00",
+            "F": "#E00000", "B": "#FF8C00",
+            "R": "#0050FF", "L": "#00C000"
+        }
+    },
+    // Colors from the Okabe-Ito palette that stay apart with color blindness.
+    "color-blind": {
+        name: "Color blind safe",
+        faces: {
+            "U": "#FFFFFF", "D": "#F0E442",
+            "F": "#D55E00", "B": "#56B4E9",
+            "R": "#0072B2", "L": "#CC79A7"
+        }
+    }
+};
+
+// Scheme name of colors picked by the user.
+const CUSTOM_SCHEME = "custom";
+
+const DEFAULT_SCHEME = "western";
+const DEFAULT_BODY_COLOR = "#353535";
+
+const COLOR_FACES = ["U", "D", "F", "B", "R", "L"];
+
+const SETTINGS_KEY = "rubiks-cube.colors";
+
+/**
+ * Returns true if s is a color like "#BA0C2F".
+ */
+function isHexColor(s) {
+    return typeof s === "string" && /^#[0-9a-fA-F]{6}$/.test(s);
+}
+
+/**
+ * Returns [r, g, b] from 0 to 1 for a color like "#BA0C2F".
+ */
+function hexToRgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16) / 255);
+}
+
+/**
+ * Returns the colors of a scheme: { scheme, faces, body }.
+ */
+function makeColorSettings(scheme) {
+    if (!(scheme in COLOR_SCHEMES)) {
+        throw new Error("Invalid argument.");
+    }
+
+    return {
+        scheme,
+        faces: Object.assign({}, COLOR_SCHEMES[scheme].faces),
+        body: DEFAULT_BODY_COLOR
+    };
+}
+
+/**
+ * Returns the colors kept in storage,
+ * or the default scheme if there are none or they can not be read.
+ */
+function loadColorSettings(storage) {
+    const settings = makeColorSettings(DEFAULT_SCHEME);
+
+    let data = null;
+    try {
+        data = JSON.parse(storage.getItem(SETTINGS_KEY));
+    } catch (e) {
+        return settings;
+    }
+
+    if (data === null || typeof data !== "object" || typeof data.faces !== "object" ||
+        data.faces === null || !isHexColor(data.body) ||
+        !COLOR_FACES.every(f => isHexColor(data.faces[f]))) {
+        return settings;
+    }
+
+    settings.scheme = data.scheme in COLOR_SCHEMES ? data.scheme : CUSTOM_SCHEME;
+    settings.body = data.body;
+    for (const f of COLOR_FACES) {
+        settings.faces[f] = data.faces[f];
+    }
+
+    return settings;
+}
+
+/**
+ * Keeps the colors in storage.
+ * Returns false if they could not be saved.
+ */
+function saveColorSettings(storage, settings) {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export {
+    COLOR_SCHEMES, CUSTOM_SCHEME, DEFAULT_SCHEME, COLOR_FACES,
+    isHexColor, hexToRgb,
+    makeColorSettings, loadColorSettings, saveColorSettings
+};
@@ -0,0 +1,146 @@
+
+/*
+Converts solves to and from the JSON that csTimer exports.
+
+csTimer exports an object with a key for each session ("session1", "session2", ...)
+and a "properties" key. Each session is an array of solves:
+[[penalty, timeMs], scramble, comment, timestamp in seconds, moves (optional)]
+where penalty is 0, 2000 (+2) or -1 (DNF).
+A session's puzzle is its scramble type in properties.sessionData.
+*/
+
+import { NO_PENALTY, PLUS_TWO, DNF, PLUS_TWO_MS } from "./timer.js";
+
+const SCRAMBLE_TYPES = {
+    2: "222so",
+    3: "333",
+    4: "444wca",
+    5: "555wca",
+    6: "666wca",
+    7: "777wca"
+};
+
+const CSTIMER_DNF = -1;
+
+/**
+ * Returns the puzzle size of a csTimer scramble type (e.g. "444wca" is 4).
+ * Unknown types are taken to be 3x3x3.
+ */
+function scrambleTypeToSize(type) {
+    const match = /^([2-7])\1\1/.exec(String(type));
+    return match === null ? 3 : Number(match[1]);
+}
+
+// Moves are saved as "name@timeMs" separated by spaces.
+function movesToText(moves) {
+    return moves.map(m => m.name + "@" + Math.round(m.timeMs)).join(" ");
+}
+
+function textToMoves(text) {
+    return text.split(" ").filter(s => s !== "").map(function (s) {
+        const [name, timeMs] = s.split("@");
+        return { name, timeMs: Number(timeMs) || 0 };
+    });
+}
+
+/**
+ * Converts solves to csTimer's export format.
+ * Solves of each puzzle size go in their own session.
+ */
+function toCsTimer(solves) {
+    const sizes = [...new Set(solves.map(s => s.puzzleSize))].sort();
+
+    const data = {};
+    const sessionData = {};
+
+    sizes.forEach(function (size, i) {
+        const key = String(i + 1);
+        const sessionSolves = solves.filter(s => s.puzzleSize === size);
+
+        data["session" + key] = sessionSolves.map(function (solve) {
+            let penalty = 0;
+            if (solve.penalty === PLUS_TWO) penalty = PLUS_TWO_MS;
+            if (solve.penalty === DNF) penalty = CSTIMER_DNF;
+
+            const timestamp = Math.floor(solve.date / 1000);
+            const moves = [movesToText(solve.moves), SCRAMBLE_TYPES[size]];
+
+            return [[penalty, Math.round(solve.timeMs)], solve.scramble || "", "", timestamp, moves];
+        });
+
+        sessionData[key] = {
+            name: size + "x" + size + "x" + size,
+            opt: { scrType: SCRAMBLE_TYPES[size] },
+            rank: i + 1
+        };
+    });
+
+    data.properties = { sessionData: JSON.stringify(sessionData) };
+
+    return data;
+}
+
+/**
+ * Converts csTimer's export format to solves (without ids).
+ * Throws an error if the data is not in csTimer's format.
+ */
+function fromCsTimer(data) {
+    if (data === null || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error("Not a csTimer export.");
+    }
+
+    let sessionData = {};
+    if (data.properties && data.properties.sessionData) {
+        sessionData = data.properties.sessionData;
+        if (typeof sessionData === "string") {
+            sessionData = JSON.parse(sessionData);
+        }
+    }
+
+    const solves = [];
+
+    for (const key of Object.keys(data)) {
+        const match = /^session(\d+)$/.exec(key);
+        if (match === null) continue;
+
+        // Older versions of csTimer save each session as a string.
+        let session = data[key];
+        if (typeof session === "string") {
+            session = JSON.parse(session);
+        }
+        if (!Array.isArray(session)) {
+            throw new Error("Invalid session: " + key);
+        }
+
+        const info = sessionData[match[1]];
+        const puzzleSize = scrambleTypeToSize(info && info.opt ? info.opt.scrType : "333");
+
+        for (const s of session) {
+            if (!Array.isArray(s) || !Array.isArray(s[0]) || s[0].length < 2) {
+                throw new Error("Invalid solve in " + key);
+            }
+
+            const [penaltyMs, timeMs] = s[0];
+
+            let penalty = NO_PENALTY;
+            if (penaltyMs === CSTIMER_DNF) penalty = DNF;
+            else if (penaltyMs > 0) penalty = PLUS_TWO;
+
+            const moves = Array.isArray(s[4]) && typeof s[4][0] === "string" ?
+                textToMoves(s[4][0]) : [];
+
+            solves.push({
+                date: Number(s[3]) * 1000,
+                timeMs: Number(timeMs),
+                penalty,
+                scramble: typeof s[1] === "string" ? s[1] : "",
+                moves,
+                puzzleSize
+            });
+        }
+    }
+
+    return solves.sort((a, b) => a.date - b.date);
+}
+
+export { toCsTimer, fromCsTimer };
@@ -0,0 +1,372 @@
+
+import { isUdf } from "./type.js";
+import { makeFilledArray } from "./utils.js";
+
+const X_AXIS = 0;
+const Y_AXIS = 1;
+const Z_AXIS = 2;
+
+// Face names in the order used by facelet strings.
+const FACES = ["U", "R", "F", "D", "L", "B"];
+
+// Outward normal of each face in FACES.
+const FACE_NORMALS = [
+    [0, 1, 0], [1, 0, 0], [0, 0, 1],
+    [0, -1, 0], [-1, 0, 0], [0, 0, -1]
+];
+
+/*
+Maps a row and column on a face to the layer indices of a cubelet.
+Each face is laid out as it is in the URFDLB facelet format:
+U and D are seen with F towards the bottom and top respectively,
+the side faces are seen with U at the top.
+*/
+const FACE_LAYOUTS = [
+    (r, c, n) => [c, n - 1, r],
+    (r, c, n) => [n - 1, n - 1 - r, n - 1 - c],
+    (r, c, n) => [c, n - 1 - r, n - 1],
+    (r, c, n) => [c, 0, n - 1 - r],
+    (r, c, n) => [0, n - 1 - r, c],
+    (r, c, n) => [n - 1 - c, n - 1 - r, 0]
+];
+
+// Rotations of 90 degrees counter clockwise around each axis (row major).
+const QUARTER_TURNS = [
+    [1, 0, 0, 0, 0, -1, 0, 1, 0],
+    [0, 0, 1, 0, 1, 0, -1, 0, 0],
+    [0, -1, 0, 1, 0, 0, 0, 0, 1]
+];
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// The 24 rotations of a cube, found by combining quarter turns.
+const CUBE_ROTATIONS = (function () {
+    const rotations = [IDENTITY];
+
+    for (let i = 0; i < rotations.length; ++i) {
+        for (const turn of QUARTER_TURNS) {
+            const m = multiplyMat3(turn, rotations[i]);
+            if (!rotations.some(r => r.every((e, j) => e === m[j]))) {
+                rotations.push(m);
+            }
+        }
+    }
+
+    return rotations;
+})();
+
+function multiplyMat3(a, b) {
+    const out = Array(9);
+
+    for (let i = 0; i < 3; ++i) {
+        for (let j = 0; j < 3; ++j) {
+            let sum = 0;
+            for (let k = 0; k < 3; ++k) {
+                sum += a[(i * 3) + k] * b[(k * 3) + j];
+            }
+            out[(i * 3) + j] = sum;
+        }
+    }
+
+    return out;
+}
+
+function transformVec3(m, v) {
+    return [0, 1, 2].map(i =>
+        (m[i * 3] * v[0]) + (m[(i * 3) + 1] * v[1]) + (m[(i * 3) + 2] * v[2]));
+}
+
+function transposeMat3(m) {
+    return [
+        m[0], m[3], m[6],
+        m[1], m[4], m[7],
+        m[2], m[5], m[8]
+    ];
+}
+
+/**
+ * Returns the rotation matrix for a number of quarter turns
+ * counter clockwise around an axis.
+ */
+function quarterTurnMatrix(axis, quarterTurns) {
+    const n = ((quarterTurns % 4) + 4) % 4;
+
+    let m = IDENTITY;
+    for (let i = 0; i < n; ++i) {
+        m = multiplyMat3(QUARTER_TURNS[axis], m);
+    }
+
+    return m;
+}
+
+/**
+ * The logical state of an NxNxN Rubik's cube.
+ * Independent of WebGL and the scene tree.
+ *
+ * Every cubelet is identified by the index of its home position,
+ * (x * size * size) + (y * size) + z, where x goes from left to right,
+ * y goes from down to up and z goes from back to front.
+ * The state of a cubelet is its orientation, a 3x3 rotation matrix
+ * (row major). Its current position is its home position rotated
+ * by its orientation around the center of the cube.
+ */
+function CubeState(size) {
+    if (isUdf(size)) {
+        size = 3;
+    }
+    if (!Number.isInteger(size) || size < 1) {
+        throw new Error("Invalid argument.");
+    }
+
+    const numCubelets = size * size * size;
+
+    // Home position of each cubelet in layer indices.
+    const homePositions = makeFilledArray(numCubelets, function (i) {
+        return [Math.floor(i / (size * size)), Math.floor(i / size) % size, i % size];
+    });
+
+    // Positions relative to the center of the cube scaled by two so they stay integers.
+    const toCentered = p => p.map(e => (2 * e) - (size - 1));
+    const fromCentered = p => p.map(e => (e + (size - 1)) / 2);
+
+    const obj = {
+        size,
+        orientations: makeFilledArray(numCubelets, () => IDENTITY.slice()),
+        /**
+         * Returns the current position of a cubelet in layer indices.
+         */
+        getPosition: function (index) {
+            const home = toCentered(homePositions[index]);
+            return fromCentered(transformVec3(this.orientations[index], home));
+        },
+        /**
+         * Returns the indices of the cubelets currently
+         * in any of the layers along an axis.
+         */
+        getCubeletsInLayers: function (axis, layers) {
+            const indices = [];
+
+            for (let i = 0; i < numCubelets; ++i) {
+                const pos = this.getPosition(i);
+                if (layers.includes(pos[axis])) {
+                    indices.push(i);
+                }
+            }
+
+            return indices;
+        },
+        /**
+         * Applies a move to the state.
+         * move
+         *   .axis         the axis to turn around.
+         *   .layers       an array of the layer indices along the axis to turn.
+         *   .quarterTurns number of counter clockwise quarter turns
+         *                 when looking from the positive end of the axis.
+         */
+        applyMove: function (move) {
+            const m = quarterTurnMatrix(move.axis, move.quarterTurns);
+
+            for (const i of this.getCubeletsInLayers(move.axis, move.layers)) {
+                this.orientations[i] = multiplyMat3(m, this.orientations[i]);
+            }
+        },
+        /**
+         * Returns the stickers of the cube as a string of face names.
+         * The faces are in URFDLB order with each face read row by row.
+         * A sticker is named after the face it is on when the cube is solved.
+         */
+        getFacelets: function () {
+            const slots = makeFilledArray(numCubelets, null);
+            for (let i = 0; i < numCubelets; ++i) {
+                const [x, y, z] = this.getPosition(i);
+                slots[(x * size * size) + (y * size) + z] = i;
+            }
+
+            let facelets = "";
+
+            for (let f = 0; f < FACES.length; ++f) {
+                const normal = FACE_NORMALS[f];
+
+                for (let r = 0; r < size; ++r) {
+                    for (let c = 0; c < size; ++c) {
+                        const [x, y, z] = FACE_LAYOUTS[f](r, c, size);
+                        const i = slots[(x * size * size) + (y * size) + z];
+
+                        // The normal of this sticker before the cubelet was rotated.
+                        const homeNormal = transformVec3(
+                            transposeMat3(this.orientations[i]), normal);
+
+                        facelets += FACES[faceOfNormal(homeNormal)];
+                    }
+                }
+            }
+
+            return facelets;
+        },
+        /**
+         * Sets the state from stickers in the format returned by getFacelets.
+         * Every cubelet is put where its stickers are.
+         * Throws an error if the string has the wrong length or
+         * the stickers do not belong to the cubelets of a cube.
+         * Does not check that the state can be reached by turning the cube.
+         */
+        setFacelets: function (facelets) {
+            const faceSize = size * size;
+            if (typeof facelets !== "string" || facelets.length !== FACES.length * faceSize) {
+                throw new Error("Invalid argument.");
+            }
+
+            // The stickers at each position: { normal, face } for each face it is on.
+            const slotStickers = makeFilledArray(numCubelets, () => []);
+            for (let f = 0; f < FACES.length; ++f) {
+                for (let r = 0; r < size; ++r) {
+                    for (let c = 0; c < size; ++c) {
+                        const [x, y, z] = FACE_LAYOUTS[f](r, c, size);
+                        const face = FACES.indexOf(facelets[(f * faceSize) + (r * size) + c]);
+                        if (face === -1) {
+                            throw new Error("Invalid argument.");
+                        }
+                        slotStickers[(x * size * size) + (y * size) + z].push({ normal: FACE_NORMALS[f], face });
+                    }
+                }
+            }
+
+            const orientations = makeFilledArray(numCubelets, () => IDENTITY.slice());
+            const used = makeFilledArray(numCubelets, false);
+
+            for (let slot = 0; slot < numCubelets; ++slot) {
+                const stickers = slotStickers[slot];
+
+                // Cubelets inside the cube have no stickers and stay home.
+                if (stickers.length === 0) {
+                    used[slot] = true;
+                    continue;
+                }
+
+                const pos = toCentered(homePositions[slot]);
+
+                const fits = function (i, m) {
+                    const moved = transformVec3(m, toCentered(homePositions[i]));
+                    if (moved.some((e, j) => e !== pos[j])) return false;
+
+                    return stickers.every(function (s) {
+                        const homeNormal = transformVec3(transposeMat3(m), s.normal);
+                        return faceOfNormal(homeNormal) === s.face;
+                    });
+                };
+
+                let found = false;
+                for (let i = 0; i < numCubelets && !found; ++i) {
+                    if (used[i] || slotStickers[i].length !== stickers.length) continue;
+
+                    const m = CUBE_ROTATIONS.find(r => fits(i, r));
+                    if (!isUdf(m)) {
+                        orientations[i] = m.slice();
+                        used[i] = true;
+                        found = true;
+                    }
+                }
+
+                if (!found) {
+                    throw new Error("Invalid argument.");
+                }
+            }
+
+            this.orientations = orientations;
+        },
+        /**
+         * Returns true if every face of the cube is a single color.
+         * Does not depend on the orientation of the whole cube.
+         */
+        isSolved: function () {
+            const facelets = this.getFacelets();
+            const faceSize = size * size;
+
+            for (let f = 0; f < FACES.length; ++f) {
+                const face = facelets.substr(f * faceSize, faceSize);
+                for (const sticker of face) {
+                    if (sticker !== face[0]) return false;
+                }
+            }
+
+            return true;
+        },
+        reset: function () {
+            this.orientations = makeFilledArray(numCubelets, () => IDENTITY.slice());
+        },
+        /**
+         * Sets the orientation of every cubelet, e.g. from a saved cube.
+         * Throws an error if they are not rotations
+         * or would put two cubelets in the same place.
+         */
+        setOrientations: function (orientations) {
+            if (!Array.isArray(orientations) || orientations.length !== numCubelets ||
+                !orientations.every(isRotationMat3)) {
+                throw new Error("Invalid argument.");
+            }
+
+            const copy = CubeState(size);
+            copy.orientations = orientations.map(m => m.slice());
+
+            const taken = new Set();
+            for (let i = 0; i < numCubelets; ++i) {
+                const key = copy.getPosition(i).join(",");
+                if (taken.has(key)) {
+                    throw new Error("Invalid argument.");
+                }
+                taken.add(key);
+            }
+
+            this.orientations = copy.orientations;
+        },
+        clone: function () {
+            const copy = CubeState(size);
+            copy.orientations = this.orientations.map(m => m.slice());
+            return copy;
+        }
+    };
+
+    return obj;
+}
+
+/**
+ * Returns true if m is a 3x3 matrix that rotates by multiples of 90 degrees.
+ */
+function isRotationMat3(m) {
+    if (!Array.isArray(m) || m.length !== 9 || !m.every(e => e === -1 || e === 0 || e === 1)) {
+        return false;
+    }
+
+    // Each row and column has a single 1 or -1.
+    for (let i = 0; i < 3; ++i) {
+        const row = [m[i * 3], m[(i * 3) + 1], m[(i * 3) + 2]];
+        const col = [m[i], m[i + 3], m[i + 6]];
+        if (row.filter(e => e !== 0).length !== 1 || col.filter(e => e !== 0).length !== 1) {
+            return false;
+        }
+    }
+
+    const det =
+        (m[0] * ((m[4] * m[8]) - (m[5] * m[7]))) -
+        (m[1] * ((m[3] * m[8]) - (m[5] * m[6]))) +
+        (m[2] * ((m[3] * m[7]) - (m[4] * m[6])));
+
+    return det === 1;
+}
+
+function faceOfNormal(normal) {
+    const f = FACE_NORMALS.findIndex(
+        n => n[0] === normal[0] && n[1] === normal[1] && n[2] === normal[2]);
+
+    if (f === -1) {
+        throw new Error("Invalid state.");
+    }
+
+    return f;
+}
+
+export {
+    X_AXIS, Y_AXIS, Z_AXIS,
+    FACES, CUBE_ROTATIONS,
+    CubeState, quarterTurnMatrix
+};
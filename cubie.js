@@ -0,0 +1,334 @@
+
+/*
+Cubie level model of a 3x3x3 cube used by the solver and scrambler.
+Follows the conventions of Kociemba's two-phase algorithm.
+
+Corners: URF, UFL, ULB, UBR, DFR, DLF, DBL, DRB
+Edges:   UR, UF, UL, UB, DR, DF, DL, DB, FR, FL, BL, BR
+*/
+
+import { FACES } from "./cubeState.js";
+
+const NUM_CORNERS = 8;
+const NUM_EDGES = 12;
+
+// Facelet indices of each corner, starting with its U or D sticker.
+const CORNER_FACELETS = [
+    [8, 9, 20], [6, 18, 38], [0, 36, 47], [2, 45, 11],
+    [29, 26, 15], [27, 44, 24], [33, 53, 42], [35, 17, 51]
+];
+
+// Facelet indices of each edge.
+const EDGE_FACELETS = [
+    [5, 10], [7, 19], [3, 37], [1, 46],
+    [32, 16], [28, 25], [30, 43], [34, 52],
+    [23, 12], [21, 41], [50, 39], [48, 14]
+];
+
+// Names of the corner and edge positions, in the order above.
+const CORNER_NAMES = ["URF", "UFL", "ULB", "UBR", "DFR", "DLF", "DBL", "DRB"];
+const EDGE_NAMES = ["UR", "UF", "UL", "UB", "DR", "DF", "DL", "DB", "FR", "FL", "BL", "BR"];
+
+// Faces of the stickers of each corner and edge when solved.
+const CORNER_COLORS = CORNER_FACELETS.map(c => c.map(f => FACES[Math.floor(f / 9)]));
+const EDGE_COLORS = EDGE_FACELETS.map(e => e.map(f => FACES[Math.floor(f / 9)]));
+
+/**
+ * The state of the corners and edges of a 3x3x3 cube.
+ * cp - which corner is at each corner position.
+ * co - the twist (0 to 2) of the corner at each position.
+ * ep - which edge is at each edge position.
+ * eo - the flip (0 or 1) of the edge at each position.
+ * Returns a solved cube if no arguments are given.
+ */
+function CubieCube(cp, co, ep, eo) {
+    const obj = {
+        cp: cp ? cp.slice() : [0, 1, 2, 3, 4, 5, 6, 7],
+        co: co ? co.slice() : [0, 0, 0, 0, 0, 0, 0, 0],
+        ep: ep ? ep.slice() : [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+        eo: eo ? eo.slice() : [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        /**
+         * Applies the cube b after this one, storing the result in this cube.
+         */
+        multiply: function (b) {
+            const newCp = Array(NUM_CORNERS);
+            const newCo = Array(NUM_CORNERS);
+            for (let i = 0; i < NUM_CORNERS; ++i) {
+                newCp[i] = this.cp[b.cp[i]];
+                newCo[i] = (this.co[b.cp[i]] + b.co[i]) % 3;
+            }
+
+            const newEp = Array(NUM_EDGES);
+            const newEo = Array(NUM_EDGES);
+            for (let i = 0; i < NUM_EDGES; ++i) {
+                newEp[i] = this.ep[b.ep[i]];
+                newEo[i] = (this.eo[b.ep[i]] + b.eo[i]) % 2;
+            }
+
+            [this.cp, this.co, this.ep, this.eo] = [newCp, newCo, newEp, newEo];
+            return this;
+        },
+        /**
+         * Applies a move (0 to 17, see MOVE_NAMES).
+         */
+        move: function (m) {
+            return this.multiply(getMoveCube(m));
+        },
+        /**
+         * Returns the inverse of this cube.
+         */
+        inverse: function () {
+            const inv = CubieCube();
+
+            for (let i = 0; i < NUM_CORNERS; ++i) {
+                inv.cp[this.cp[i]] = i;
+            }
+            for (let i = 0; i < NUM_CORNERS; ++i) {
+                inv.co[i] = (3 - this.co[inv.cp[i]]) % 3;
+            }
+
+            for (let i = 0; i < NUM_EDGES; ++i) {
+                inv.ep[this.ep[i]] = i;
+            }
+            for (let i = 0; i < NUM_EDGES; ++i) {
+                inv.eo[i] = this.eo[inv.ep[i]];
+            }
+
+            return inv;
+        },
+        clone: function () {
+            return CubieCube(this.cp, this.co, this.ep, this.eo);
+        },
+        isSolved: function () {
+            return this.cp.every((c, i) => c === i) &&
+                this.co.every(o => o === 0) &&
+                this.ep.every((e, i) => e === i) &&
+                this.eo.every(o => o === 0);
+        },
+        /**
+         * Returns the cube as a 54 character facelet string in URFDLB order.
+         */
+        toFacelets: function () {
+            const facelets = Array(54);
+
+            for (let f = 0; f < FACES.length; ++f) {
+                facelets[(f * 9) + 4] = FACES[f];
+            }
+
+            for (let i = 0; i < NUM_CORNERS; ++i) {
+                for (let k = 0; k < 3; ++k) {
+                    const f = CORNER_FACELETS[i][(k + this.co[i]) % 3];
+                    facelets[f] = CORNER_COLORS[this.cp[i]][k];
+                }
+            }
+
+            for (let i = 0; i < NUM_EDGES; ++i) {
+                for (let k = 0; k < 2; ++k) {
+                    const f = EDGE_FACELETS[i][(k + this.eo[i]) % 2];
+                    facelets[f] = EDGE_COLORS[this.ep[i]][k];
+                }
+            }
+
+            return facelets.join("");
+        }
+    };
+
+    return obj;
+}
+
+/**
+ * Returns the CubieCube of a 54 character facelet string.
+ * The stickers are renamed after the face of the center with the same color,
+ * so the centers do not need to be in their home positions.
+ */
+function cubieCubeFromFacelets(facelets) {
+    const centers = makeCenterMapping(facelets);
+    const faceOf = i => centers[facelets[i]];
+
+    const cube = CubieCube();
+
+    for (let i = 0; i < NUM_CORNERS; ++i) {
+        const stickers = CORNER_FACELETS[i].map(faceOf);
+
+        // The twist is how far the U or D sticker is from the first position.
+        const ori = stickers.findIndex(s => s === "U" || s === "D");
+        if (ori === -1) {
+            throw new Error("Invalid corner at " + CORNER_NAMES[i] + ".");
+        }
+
+        const c1 = stickers[(ori + 1) % 3];
+        const c2 = stickers[(ori + 2) % 3];
+
+        const j = CORNER_COLORS.findIndex(c =>
+            c[0] === stickers[ori] && c[1] === c1 && c[2] === c2);
+        if (j === -1) {
+            throw new Error("Invalid corner at " + CORNER_NAMES[i] + ".");
+        }
+
+        cube.cp[i] = j;
+        cube.co[i] = ori;
+    }
+
+    for (let i = 0; i < NUM_EDGES; ++i) {
+        const [s0, s1] = EDGE_FACELETS[i].map(faceOf);
+
+        let j = EDGE_COLORS.findIndex(e => e[0] === s0 && e[1] === s1);
+        let ori = 0;
+        if (j === -1) {
+            j = EDGE_COLORS.findIndex(e => e[0] === s1 && e[1] === s0);
+            ori = 1;
+        }
+        if (j === -1) {
+            throw new Error("Invalid edge at " + EDGE_NAMES[i] + ".");
+        }
+
+        cube.ep[i] = j;
+        cube.eo[i] = ori;
+    }
+
+    return cube;
+}
+
+/**
+ * Maps the name of each center's sticker to the face the center is on.
+ */
+function makeCenterMapping(facelets) {
+    if (facelets.length !== 54) {
+        throw new Error("Facelet string must have 54 characters.");
+    }
+
+    const centers = Object.create(null);
+
+    for (let f = 0; f < FACES.length; ++f) {
+        const sticker = facelets[(f * 9) + 4];
+        if (sticker in centers) {
+            throw new Error("Two centers have the same color.");
+        }
+        centers[sticker] = FACES[f];
+    }
+
+    return centers;
+}
+
+// Face turns: U R F D L B, each followed by its double and inverse turn.
+const MOVE_NAMES = [];
+for (const face of FACES) {
+    MOVE_NAMES.push(face, face + "2", face + "'");
+}
+
+// Clockwise quarter turn of each face in FACES.
+const BASIC_MOVE_CUBES = [
+    CubieCube(
+        [3, 0, 1, 2, 4, 5, 6, 7], [0, 0, 0, 0, 0, 0, 0, 0],
+        [3, 0, 1, 2, 4, 5, 6, 7, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    CubieCube(
+        [4, 1, 2, 0, 7, 5, 6, 3], [2, 0, 0, 1, 1, 0, 0, 2],
+        [8, 1, 2, 3, 11, 5, 6, 7, 4, 9, 10, 0], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    CubieCube(
+        [1, 5, 2, 3, 0, 4, 6, 7], [1, 2, 0, 0, 2, 1, 0, 0],
+        [0, 9, 2, 3, 4, 8, 6, 7, 1, 5, 10, 11], [0, 1, 0, 0, 0, 1, 0, 0, 1, 1, 0, 0]),
+    CubieCube(
+        [0, 1, 2, 3, 5, 6, 7, 4], [0, 0, 0, 0, 0, 0, 0, 0],
+        [0, 1, 2, 3, 5, 6, 7, 4, 8, 9, 10, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    CubieCube(
+        [0, 2, 6, 3, 4, 1, 5, 7], [0, 1, 2, 0, 0, 2, 1, 0],
+        [0, 1, 10, 3, 4, 5, 9, 7, 8, 2, 6, 11], [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+    CubieCube(
+        [0, 1, 3, 7, 4, 5, 2, 6], [0, 0, 1, 2, 0, 0, 2, 1],
+        [0, 1, 2, 11, 4, 5, 6, 10, 8, 9, 3, 7], [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 1, 1])
+];
+
+// The cube of each move in MOVE_NAMES.
+const MOVE_CUBES = [];
+for (const basic of BASIC_MOVE_CUBES) {
+    const cube = CubieCube();
+    for (let power = 0; power < 3; ++power) {
+        cube.multiply(basic);
+        MOVE_CUBES.push(cube.clone());
+    }
+}
+
+function getMoveCube(m) {
+    return MOVE_CUBES[m];
+}
+
+/**
+ * Returns the parity (0 even, 1 odd) of a permutation.
+ */
+function permutationParity(p) {
+    let parity = 0;
+
+    for (let i = 0; i < p.length; ++i) {
+        for (let j = i + 1; j < p.length; ++j) {
+            if (p[j] < p[i]) parity ^= 1;
+        }
+    }
+
+    return parity;
+}
+
+/**
+ * Returns a uniformly random solvable cube.
+ * rng - a SeededRandom.
+ * options
+ *   .corners  the corner positions that are scrambled (others stay solved).
+ *   .edges    the edge positions that are scrambled (others stay solved).
+ */
+function randomCubieCube(rng, options) {
+    const corners = (options && options.corners) || [0, 1, 2, 3, 4, 5, 6, 7];
+    const edges = (options && options.edges) || [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+
+    const cube = CubieCube();
+
+    const shuffleAt = (a, positions) => {
+        const values = rng.shuffle(positions.map(i => a[i]));
+        positions.forEach((pos, k) => { a[pos] = values[k]; });
+    };
+
+    shuffleAt(cube.cp, corners);
+    shuffleAt(cube.ep, edges);
+
+    // Swapping two pieces maps the unsolvable half of the states onto the solvable half.
+    if (permutationParity(cube.cp) !== permutationParity(cube.ep)) {
+        if (edges.length >= 2) {
+            const [a, b] = edges.slice(-2);
+            [cube.ep[a], cube.ep[b]] = [cube.ep[b], cube.ep[a]];
+        } else {
+            const [a, b] = corners.slice(-2);
+            [cube.cp[a], cube.cp[b]] = [cube.cp[b], cube.cp[a]];
+        }
+    }
+
+    // The orientation of the last piece is fixed by the others.
+    let twist = 0;
+    for (let k = 0; k < corners.length - 1; ++k) {
+        const o = rng.nextInt(3);
+        cube.co[corners[k]] = o;
+        twist += o;
+    }
+    if (corners.length > 0) {
+        cube.co[corners[corners.length - 1]] = (3 - (twist % 3)) % 3;
+    }
+
+    let flip = 0;
+    for (let k = 0; k < edges.length - 1; ++k) {
+        const o = rng.nextInt(2);
+        cube.eo[edges[k]] = o;
+        flip += o;
+    }
+    if (edges.length > 0) {
+        cube.eo[edges[edges.length - 1]] = flip % 2;
+    }
+
+    return cube;
+}
+
+export {
+    NUM_CORNERS, NUM_EDGES,
+    CORNER_FACELETS, EDGE_FACELETS,
+    CORNER_NAMES, EDGE_NAMES,
+    CORNER_COLORS, EDGE_COLORS,
+    MOVE_NAMES, MOVE_CUBES,
+    CubieCube, cubieCubeFromFacelets,
+    permutationParity, randomCubieCube
+};
@@ -0,0 +1,57 @@
+
+import { makeObj } from "./type.js";
+
+/**
+ * Keeps track of listeners for named events
+ * and calls them when an event is emitted.
+ */
+function EventEmitter() {
+    const obj = {
+        allListeners: makeObj(),
+        /**
+         * Adds a listener for an event.
+         * Returns a function that removes the listener.
+         */
+        addListener: function (eventName, listener) {
+            let listeners;
+            if (eventName in this.allListeners) {
+                listeners = this.allListeners[eventName];
+            } else {
+                listeners = [];
+                this.allListeners[eventName] = listeners;
+            }
+
+            listeners.push(listener);
+
+            let isRemoved = false;
+
+            return function remove() {
+                if (!isRemoved) {
+                    isRemoved = true;
+
+                    const i = listeners.indexOf(listener);
+                    if (i === -1) {
+                        throw new Error("Invalid state.");
+                    }
+                    listeners.splice(i, 1);
+                }
+            };
+        },
+        /**
+         * Calls every listener of an event with the arguments given.
+         */
+        emit: function (eventName, ...args) {
+            if (!(eventName in this.allListeners)) return;
+
+            // Copied so listeners can remove themselves.
+            const listeners = this.allListeners[eventName].slice();
+            for (const listener of listeners) {
+                listener(...args);
+            }
+        }
+    };
+
+    return obj;
+}
+
+export { EventEmitter };
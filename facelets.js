@@ -0,0 +1,129 @@
+
+/*
+Reads and checks 54 character facelet strings (Kociemba's URFDLB format)
+used by other solvers, timers and cube scanning tools.
+The stickers of the U, R, F, D, L and B faces are listed in that order,
+each face read row by row (see CubeState.getFacelets).
+*/
+
+import {
+    CORNER_NAMES, EDGE_NAMES,
+    cubieCubeFromFacelets, permutationParity
+} from "./cubie.js";
+
+import { CubeState } from "./cubeState.js";
+
+const NUM_FACELETS = 54;
+const STICKERS_PER_FACE = 9;
+
+/**
+ * Returns an error for a facelet string that is not a cube that can be solved.
+ */
+function FaceletError(message) {
+    const error = new Error(message);
+    error.name = "FaceletError";
+    return error;
+}
+
+/**
+ * Returns the CubieCube of a facelet string after checking it is a legal position.
+ * Any six characters can be used for the colors; each face is
+ * the color of its center. Whitespace is ignored.
+ * Throws a FaceletError describing the first problem found.
+ */
+function parseFacelets(text) {
+    const facelets = text.replace(/\s/g, "");
+
+    if (facelets.length !== NUM_FACELETS) {
+        throw FaceletError("A facelet string has " + NUM_FACELETS +
+            " stickers, not " + facelets.length + ".");
+    }
+
+    checkColorCounts(facelets);
+
+    let cube;
+    try {
+        cube = cubieCubeFromFacelets(facelets);
+    } catch (e) {
+        throw FaceletError(e.message);
+    }
+
+    checkPiecesUnique(cube.cp, CORNER_NAMES, "corner");
+    checkPiecesUnique(cube.ep, EDGE_NAMES, "edge");
+
+    const twist = cube.co.reduce((a, b) => a + b, 0);
+    if (twist % 3 !== 0) {
+        throw FaceletError("A corner is twisted (the corner twists add up to " +
+            twist + ", which is not a multiple of 3).");
+    }
+
+    const flip = cube.eo.reduce((a, b) => a + b, 0);
+    if (flip % 2 !== 0) {
+        throw FaceletError("An edge is flipped (an odd number of edges are flipped).");
+    }
+
+    if (permutationParity(cube.cp) !== permutationParity(cube.ep)) {
+        throw FaceletError("Two pieces are swapped (the corners and edges " +
+            "are not permuted with the same parity).");
+    }
+
+    return cube;
+}
+
+/**
+ * Returns the CubeState of a 3x3x3 cube from a facelet string.
+ * The cube is turned so its centers are in their home positions.
+ * Throws a FaceletError if the string is not a legal position (see parseFacelets).
+ */
+function faceletsToCubeState(text) {
+    const cubeState = CubeState(3);
+    cubeState.setFacelets(parseFacelets(text).toFacelets());
+    return cubeState;
+}
+
+/**
+ * Throws if the centers are not six different colors
+ * or there are not nine stickers of each color.
+ */
+function checkColorCounts(facelets) {
+    const counts = Object.create(null);
+
+    for (let f = 0; f < NUM_FACELETS; f += STICKERS_PER_FACE) {
+        const center = facelets[f + 4];
+        if (center in counts) {
+            throw FaceletError("Two centers are the same color '" + center + "'.");
+        }
+        counts[center] = 0;
+    }
+
+    for (const sticker of facelets) {
+        if (!(sticker in counts)) {
+            throw FaceletError("'" + sticker + "' is not the color of any center.");
+        }
+        ++counts[sticker];
+    }
+
+    for (const color of Object.keys(counts)) {
+        if (counts[color] !== STICKERS_PER_FACE) {
+            throw FaceletError("There are " + counts[color] + " '" + color +
+                "' stickers, not " + STICKERS_PER_FACE + ".");
+        }
+    }
+}
+
+/**
+ * Throws if a piece is in more than one place.
+ * permutation - the piece at each position (cp or ep of a CubieCube).
+ */
+function checkPiecesUnique(permutation, names, kind) {
+    const seen = Array(permutation.length).fill(false);
+
+    for (const piece of permutation) {
+        if (seen[piece]) {
+            throw FaceletError("The " + names[piece] + " " + kind + " is on the cube more than once.");
+        }
+        seen[piece] = true;
+    }
+}
+
+export { FaceletError, parseFacelets, faceletsToCubeState, NUM_FACELETS };
@@ -0,0 +1,119 @@
+
+/*
+Gamepad bindings: which gamepad buttons do which actions.
+Buttons are numbered as in the standard gamepad layout. Each button can do one
+action of the key bindings (see keyBindings.js), and one button can be held
+to turn the moves of the others the other way.
+The dead zone is how far a stick must be pushed from its center to count.
+The bindings chosen are kept in localStorage.
+*/
+
+import { ACTIONS } from "./keyBindings.js";
+import { makeObj } from "./type.js";
+
+// Names of the buttons of the standard gamepad layout, by index.
+const GAMEPAD_BUTTON_NAMES = [
+    "A", "B", "X", "Y",
+    "Left bumper", "Right bumper", "Left trigger", "Right trigger",
+    "Back", "Start", "Left stick", "Right stick",
+    "D-pad up", "D-pad down", "D-pad left", "D-pad right"
+];
+
+const DEFAULT_GAMEPAD_BUTTONS = {
+    0: "D", // A
+    1: "R", // B
+    2: "L", // X
+    3: "U", // Y
+    4: "F", // left bumper
+    5: "B", // right bumper
+    6: "y'", // left trigger
+    7: "y", // right trigger
+    12: "hint", // d-pad up
+    14: "undo", // d-pad left
+    15: "redo" // d-pad right
+};
+const DEFAULT_INVERT_BUTTON = 13; // d-pad down
+const DEFAULT_DEAD_ZONE = 0.2;
+
+// A larger dead zone would leave too little of the sticks to use.
+const MAX_DEAD_ZONE = 0.9;
+
+const SETTINGS_KEY = "rubiks-cube.gamepad";
+
+/**
+ * Returns the default bindings as { buttons, invertButton, deadZone }
+ * where buttons has the action of each button that has one
+ * and invertButton is a button or null.
+ */
+function makeGamepadSettings() {
+    return {
+        buttons: Object.assign(makeObj(), DEFAULT_GAMEPAD_BUTTONS),
+        invertButton: DEFAULT_INVERT_BUTTON,
+        deadZone: DEFAULT_DEAD_ZONE
+    };
+}
+
+/**
+ * Returns true if a number can be a dead zone.
+ */
+function isDeadZone(x) {
+    return typeof x === "number" && x >= 0 && x <= MAX_DEAD_ZONE;
+}
+
+/**
+ * Returns the bindings kept in storage (see makeGamepadSettings),
+ * or the default bindings if there are none or they can not be used.
+ */
+function loadGamepadSettings(storage) {
+    const defaults = makeGamepadSettings();
+
+    let data = null;
+    try {
+        data = JSON.parse(storage.getItem(SETTINGS_KEY));
+    } catch (e) {
+        return defaults;
+    }
+
+    if (data === null || typeof data !== "object" ||
+        typeof data.buttons !== "object" || data.buttons === null ||
+        !isDeadZone(data.deadZone)) {
+        return defaults;
+    }
+
+    const isButton = b => Number.isInteger(b) && b >= 0 && b < GAMEPAD_BUTTON_NAMES.length;
+    const actionIds = ACTIONS.map(a => a.id);
+
+    const buttons = makeObj();
+    for (const key of Object.keys(data.buttons)) {
+        const button = Number(key);
+        if (!isButton(button) || !actionIds.includes(data.buttons[key])) {
+            return defaults;
+        }
+        buttons[button] = data.buttons[key];
+    }
+
+    const invertButton = data.invertButton;
+    if (invertButton !== null && (!isButton(invertButton) || invertButton in buttons)) {
+        return defaults;
+    }
+
+    return { buttons, invertButton, deadZone: data.deadZone };
+}
+
+/**
+ * Keeps the bindings in storage.
+ * Returns false if they could not be saved.
+ */
+function saveGamepadSettings(storage, settings) {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export {
+    GAMEPAD_BUTTON_NAMES,
+    makeGamepadSettings, isDeadZone, loadGamepadSettings, saveGamepadSettings
+};
@@ -0,0 +1,82 @@
+
+import { parseMoves, invertMove } from "./notation.js";
+
+/**
+ * Keeps track of the moves made on the cube so they can be undone and redone.
+ */
+function MoveHistory() {
+    const obj = {
+        // Entries of { move, source } that have been made, oldest first.
+        done: [],
+        // Entries that have been undone, most recently undone last.
+        undone: [],
+        /**
+         * Records a move that was made.
+         * Clears the moves that could be redone.
+         */
+        push: function (move, source) {
+            this.done.push({ move, source });
+            this.undone = [];
+        },
+        /**
+         * Returns the move that undoes the last move made.
+         * Returns null if there is nothing to undo.
+         */
+        undo: function () {
+            if (this.done.length === 0) return null;
+
+            const entry = this.done.pop();
+            this.undone.push(entry);
+
+            return invertMove(entry.move);
+        },
+        /**
+         * Returns the last move undone so it can be made again.
+         * Returns null if there is nothing to redo.
+         */
+        redo: function () {
+            if (this.undone.length === 0) return null;
+
+            const entry = this.undone.pop();
+            this.done.push(entry);
+
+            return entry.move;
+        },
+        clear: function () {
+            this.done = [];
+            this.undone = [];
+        },
+        /**
+         * Returns the history as plain data that can be saved as JSON.
+         */
+        toData: function () {
+            const toNames = entries => entries.map(e => ({ name: e.move.name, source: e.source }));
+
+            return { done: toNames(this.done), undone: toNames(this.undone) };
+        },
+        /**
+         * Sets the history from data returned by toData.
+         * size - size of the cube the moves are for.
+         * Throws an error if a move can not be parsed.
+         */
+        setData: function (data, size) {
+            const fromNames = function (entries) {
+                if (!Array.isArray(entries)) {
+                    throw new Error("Invalid argument.");
+                }
+
+                return entries.map(e => ({ move: parseMoves(String(e.name), size)[0], source: e.source }));
+            };
+
+            const done = fromNames(data.done);
+            const undone = fromNames(data.undone);
+
+            this.done = done;
+            this.undone = undone;
+        }
+    };
+
+    return obj;
+}
+
+export { MoveHistory };
@@ -2,38 +2,68 @@
 import { initOptions } from "./utils.js";
 import { makeObj } from "./type.js";
 
-const MOUSE_DOWN = "mousedown";
-const MOUSE_MOVE = "mousemove";
-const MOUSE_UP = "mouseup";
-const MOUSE_LEAVE = "mouseleave";
+const POINTER_DOWN = "pointerdown";
+const POINTER_MOVE = "pointermove";
+const POINTER_UP = "pointerup";
+const POINTER_CANCEL = "pointercancel";
+const POINTER_LEAVE = "pointerleave";
 
 const KEY_DOWN = "keydown";
 const KEY_UP = "keyup";
 
 const ON_BLUR = "blur";
 
+// Modifiers by their names in KeyInputManager, with the flag of key events
+// that says whether each is held.
+const MODIFIER_FLAGS = {
+    "Control": "ctrlKey",
+    "Alt": "altKey",
+    "Shift": "shiftKey",
+    "Meta": "metaKey"
+};
+
+// KeyboardEvent.code of the modifier keys on either side of the keyboard
+// ("OS" is what older browsers call Meta).
+const MODIFIER_CODE = /^(Control|Alt|Shift|Meta|OS)(Left|Right)$/;
+
+// macOS does not send the release of keys pressed while Command is held.
 const COMMAND_KEY = "Meta";
 
+// Elements that take text input handle their own key events.
+const TEXT_INPUT_TAGS = ["INPUT", "SELECT", "TEXTAREA"];
+
 /**
- * Implements functionality of clicking and dragging on a DOM element.
+ * Implements functionality of clicking and dragging on a DOM element
+ * with a mouse, pen or finger (Pointer Events).
+ * A second finger put down while dragging ends the drag and starts a pinch.
  * elm      the DOM element to click and drag on.
  * callback (event, dragState, self) => bool (true if should enter drag)
- *              dragState can be "enter", "drag", or "exit".
+ *              dragState can be "enter", "drag", "exit", or "cancel"
+ *              (a second finger ended the drag to start a pinch).
  * options
- *   .self                an object that gets passed to the callback.
- *   .exitOnLeave         true if should exit drag on "onmouseleave".
- *   .callDragOnMouseDown true if callback should be called with "drag" on "onmousedown".
+ *   .self                an object that gets passed to the callbacks.
+ *   .capture             true if the drag should go on when the pointer leaves the element,
+ *                        otherwise leaving it exits the drag.
+ *   .callDragOnMouseDown true if callback should be called with "drag" on "pointerdown".
+ *   .onPinch             (event, pinchState, pinch, self) called for two fingers, or null.
+ *                          pinchState can be "enter", "pinch", or "exit".
+ *                          pinch is { center, scale, rotation } where center is the point
+ *                          between the fingers (in pixels relative to the element), scale
+ *                          the distance between them over the distance when the pinch started
+ *                          and rotation how far they have turned counter clockwise (in radians).
  */
 function ClickAndDragHandler(elm, callback, options) {
     const DEFAULTS = {
         self: makeObj(),
         callDragOnMouseDown: true,
-        exitOnLeave: true
+        capture: true,
+        onPinch: null
     };
     options = initOptions(options, DEFAULTS);
 
     const callDragOnMouseDown = options.callDragOnMouseDown === true;
-    const exitOnLeave = options.exitOnLeave === true;
+    const capture = options.capture === true;
+    const onPinch = options.onPinch;
 
     // Enables and disables event listeners.
     const set = (t, l) => elm.addEventListener(t, l);
@@ -42,57 +72,87 @@ function ClickAndDragHandler(elm, callback, options) {
     const ENTER_STATE = "enter";
     const DRAG_STATE = "drag";
     const EXIT_STATE = "exit";
+    const CANCEL_STATE = "cancel";
+
+    const PINCH_ENTER_STATE = "enter";
+    const PINCH_STATE = "pinch";
+    const PINCH_EXIT_STATE = "exit";
+
+    // Position of each pointer that is down, by pointerId.
+    const pointers = new Map();
 
     let enteredDrag = false;
 
-    function onMouseDown(e) {
+    /*
+    The pinch in progress, or null:
+    { distance, angle, rotation } where distance is the distance between the fingers
+    when it started, angle the last angle between them and rotation the sum of
+    the changes in angle so far (so turning past half a turn keeps adding up).
+    */
+    let activePinch = null;
+
+    function onPointerDown(e) {
         e.preventDefault();
         e.stopPropagation();
 
-        /*
-        Prevents mousedown from being called after mousemove but before mouseup.
-        This can happen if you move cursor outside of element while drag is in action.
-        */
-        if (enteredDrag === true) {
-            enteredDrag = false;
-            exitDrag.call(this, e);
-        } else {
+        pointers.set(e.pointerId, [e.offsetX, e.offsetY]);
+
+        if (capture) {
+            elm.setPointerCapture(e.pointerId);
+        }
+
+        if (pointers.size === 1) {
             enterDrag.call(this, e);
+        } else if (pointers.size === 2 && onPinch !== null) {
+            if (enteredDrag === true) {
+                exitDrag.call(this, e, CANCEL_STATE);
+            }
+            enterPinch.call(this, e);
         }
     }
 
-    function onMouseMove(e) {
+    function onPointerMove(e) {
+        if (!pointers.has(e.pointerId)) return;
+
         e.preventDefault();
         e.stopPropagation();
 
-        callback.call(this, e, DRAG_STATE, options.self);
+        pointers.set(e.pointerId, [e.offsetX, e.offsetY]);
+
+        if (activePinch !== null) {
+            onPinch.call(this, e, PINCH_STATE, getPinch(), options.self);
+        } else if (enteredDrag === true) {
+            callback.call(this, e, DRAG_STATE, options.self);
+        }
     }
 
-    function onMouseUp(e) {
+    function onPointerUp(e) {
+        if (!pointers.has(e.pointerId)) return;
+
         e.preventDefault();
         e.stopPropagation();
 
-        exitDrag.call(this, e);
-    }
+        pointers.delete(e.pointerId);
 
-    function onMouseLeave(e) {
-        e.preventDefault();
-        e.stopPropagation();
+        // Fingers left after a pinch do nothing until they are lifted.
+        if (activePinch !== null) {
+            activePinch = null;
+            onPinch.call(this, e, PINCH_EXIT_STATE, null, options.self);
+        } else if (enteredDrag === true) {
+            exitDrag.call(this, e, EXIT_STATE);
+        }
+    }
 
-        if (exitOnLeave) {
-            exitDrag.call(this, e);
+    function onPointerLeave(e) {
+        if (!capture) {
+            onPointerUp.call(this, e);
         }
     }
 
-    function exitDrag(e) {
+    function exitDrag(e, state) {
         enteredDrag = false;
-        
-        unset(MOUSE_MOVE, onMouseMove);
-        unset(MOUSE_UP, onMouseUp);
-        unset(MOUSE_LEAVE, onMouseLeave);
-        set(MOUSE_DOWN, onMouseDown);
 
-        callback.call(this, e, EXIT_STATE, options.self);
+        callback.call(this, e, state, options.self);
     }
 
     function enterDrag(e) {
@@ -101,28 +161,66 @@ function ClickAndDragHandler(elm, callback, options) {
         if (shouldEnterDrag === true) {
             enteredDrag = true;
 
-            unset(MOUSE_DOWN, onMouseDown)
-            set(MOUSE_MOVE, onMouseMove);
-            set(MOUSE_UP, onMouseUp);
-            set(MOUSE_LEAVE, onMouseLeave);
-
             if (callDragOnMouseDown) {
                 callback.call(this, e, DRAG_STATE, options.self);
             }
         }
     }
 
+    function enterPinch(e) {
+        const [a, b] = pointers.values();
+        activePinch = {
+            distance: Math.hypot(b[0] - a[0], b[1] - a[1]),
+            angle: getAngle(a, b),
+            rotation: 0
+        };
+
+        onPinch.call(this, e, PINCH_ENTER_STATE, getPinch(), options.self);
+    }
+
+    // The angle of the line from a to b, counter clockwise on the screen.
+    function getAngle(a, b) {
+        return Math.atan2(a[1] - b[1], b[0] - a[0]);
+    }
+
+    function getPinch() {
+        const [a, b] = pointers.values();
+        const distance = Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+        const angle = getAngle(a, b);
+        let change = angle - activePinch.angle;
+        // The smaller way around.
+        if (change > Math.PI) change -= 2 * Math.PI;
+        if (change < -Math.PI) change += 2 * Math.PI;
+
+        activePinch.angle = angle;
+        activePinch.rotation += change;
+
+        return {
+            center: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+            scale: activePinch.distance > 0 ? distance / activePinch.distance : 1,
+            rotation: activePinch.rotation
+        };
+    }
+
     const obj = {
         attach: function () {
-            set(MOUSE_DOWN, onMouseDown);
+            set(POINTER_DOWN, onPointerDown);
+            set(POINTER_MOVE, onPointerMove);
+            set(POINTER_UP, onPointerUp);
+            set(POINTER_CANCEL, onPointerUp);
+            set(POINTER_LEAVE, onPointerLeave);
         },
         detach: function () {
             enteredDrag = false;
-
-            unset(MOUSE_DOWN, onMouseDown);
-            unset(MOUSE_MOVE, onMouseMove);
-            unset(MOUSE_UP, onMouseUp);
-            unset(MOUSE_LEAVE, onMouseLeave);
+            activePinch = null;
+            pointers.clear();
+
+            unset(POINTER_DOWN, onPointerDown);
+            unset(POINTER_MOVE, onPointerMove);
+            unset(POINTER_UP, onPointerUp);
+            unset(POINTER_CANCEL, onPointerUp);
+            unset(POINTER_LEAVE, onPointerLeave);
         }
     };
 
@@ -141,13 +239,56 @@ function windowToClipSpace(x, y, canvasWidth, canvasHeight) {
     ];
 }
 
+/**
+ * Returns the platform the browser runs on: "apple" (macOS or iOS),
+ * "windows" or "other" (e.g. Linux).
+ * nav - the navigator to check.
+ */
+function getPlatform(nav) {
+    const platform = (nav.userAgentData ? nav.userAgentData.platform : nav.platform) || "";
+
+    if (/mac|iphone|ipad|ipod/i.test(platform)) return "apple";
+    if (/win/i.test(platform)) return "windows";
+    return "other";
+}
+
+/**
+ * Returns true if the browser runs on macOS or iOS, where Command (Meta)
+ * is used for shortcuts that use Ctrl elsewhere.
+ * nav - the navigator to check.
+ */
+function isApplePlatform(nav) {
+    return getPlatform(nav) === "apple";
+}
+
+/**
+ * Returns the modifiers held during a mouse, pointer or key event
+ * as { Control, Alt, Shift, Meta } (the names used by KeyInputManager).
+ */
+function getEventModifiers(e) {
+    const modifiers = makeObj();
+    for (const modifier of Object.keys(MODIFIER_FLAGS)) {
+        modifiers[modifier] = e[MODIFIER_FLAGS[modifier]] === true;
+    }
+    return modifiers;
+}
+
 /**
  * Keeps track of key input.
+ * Keys are named by where they are on the keyboard (KeyboardEvent.code, e.g. "KeyZ"),
+ * so the same keys are used with any keyboard layout. Modifiers are named
+ * "Control", "Alt", "Shift" and "Meta" whichever side they are on, and are read
+ * from the flags of every key event so they are right even if their own
+ * presses or releases were missed (e.g. taken by the OS).
  */
 function KeyInputManager(elm) {
     const obj = {
         state: makeObj(),
+        // Keys pressed while Command is held, released with it (see COMMAND_KEY).
+        commandKeys: [],
         allListeners: makeObj(),
+        // Listeners for every key, called with (keyName, value).
+        allKeysListeners: [],
         setKey: function (keyName, value) {
             this.state[keyName] = value;
             
@@ -181,7 +322,33 @@ function KeyInputManager(elm) {
                 }
             };
         },
+        /**
+         * Adds a listener called with (keyName, value) when any key is pressed or released.
+         * Returns a function that removes it.
+         */
+        addAllKeysListener: function (listener) {
+            const listeners = this.allKeysListeners;
+            listeners.push(listener);
+
+            let isRemoved = false;
+
+            return function remove() {
+                if (!isRemoved) {
+                    isRemoved = true;
+
+                    const i = listeners.indexOf(listener);
+                    if (i === -1) {
+                        throw new Error("Invalid state.");
+                    }
+                    listeners.splice(i, 1);
+                }
+            };
+        },
         _callListeners: function (keyName, value) {
+            for (const listener of this.allKeysListeners.slice()) {
+                listener(keyName, value);
+            }
+
             if (!(keyName in this.allListeners)) return;
 
             const listeners = this.allListeners[keyName];
@@ -190,31 +357,61 @@ function KeyInputManager(elm) {
             }
         },
         reset: function () {
+            this.commandKeys = [];
+
             for (const key in this.state) {
                 this.setKey(key, false);
             }
         }
     };
 
+    const isTextInput = (e) => TEXT_INPUT_TAGS.includes(e.target.tagName);
+
+    // Sets the modifiers held during a key event.
+    const updateModifiers = (e) => {
+        const modifiers = getEventModifiers(e);
+        for (const modifier of Object.keys(modifiers)) {
+            const value = modifiers[modifier];
+            if (value === obj.isKeyDown(modifier)) continue;
+
+            obj.setKey(modifier, value);
+
+            if (modifier === COMMAND_KEY && !value) {
+                for (const code of obj.commandKeys.splice(0)) {
+                    if (obj.isKeyDown(code)) obj.setKey(code, false);
+                }
+            }
+        }
+    };
+
     elm.addEventListener(KEY_DOWN, function (e) {
+        if (isTextInput(e)) return;
+
         e.preventDefault();
         e.stopPropagation();
 
-        if (e.repeat) return;
+        updateModifiers(e);
+
+        if (e.repeat || MODIFIER_CODE.test(e.code)) return;
+
+        if (obj.isKeyDown(COMMAND_KEY)) {
+            obj.commandKeys.push(e.code);
+        }
 
-        obj.setKey(e.key, true);
+        obj.setKey(e.code, true);
     });
 
     elm.addEventListener(KEY_UP, function (e) {
+        if (isTextInput(e)) return;
+
         e.preventDefault();
         e.stopPropagation();
 
-        if (e.key === COMMAND_KEY) {
-            // MacOS X specific hack
-            obj.reset();
-        } else {
-            obj.setKey(e.key, false);
-        }
+        updateModifiers(e);
+
+        if (MODIFIER_CODE.test(e.code)) return;
+
+        obj.setKey(e.code, false);
     });
 
     elm.addEventListener(ON_BLUR, function (e) {
@@ -227,4 +424,125 @@ function KeyInputManager(elm) {
     return obj;
 }
 
-export { ClickAndDragHandler, windowToClipSpace, KeyInputManager };
+/**
+ * Keeps track of gamepad input (Gamepad API).
+ * Gamepads have no events for their buttons and sticks, so they are read
+ * by update, which should be called once per frame.
+ * Buttons and sticks are numbered as in the standard gamepad layout
+ * and all connected gamepads act as one.
+ * nav - the navigator gamepads are read from.
+ * options
+ *   .deadZone        distance (0 to 1) a stick must be pushed from its center to count,
+ *                    can be changed later with the deadZone property.
+ *   .buttonThreshold how far (0 to 1) an analog button (trigger) must be pressed to be down.
+ */
+function GamepadInputManager(nav, options) {
+    const DEFAULTS = {
+        deadZone: 0.2,
+        buttonThreshold: 0.5
+    };
+    options = initOptions(options, DEFAULTS);
+
+    // Returns a stick position with the dead zone taken out, so it goes from
+    // zero at the edge of the dead zone to one at the edge of the stick's range.
+    const applyDeadZone = (x, y, deadZone) => {
+        const length = Math.hypot(x, y);
+        if (length <= deadZone) return [0, 0];
+
+        const scale = Math.min((length - deadZone) / (1 - deadZone), 1) / length;
+        return [x * scale, y * scale];
+    };
+
+    const getGamepads = () => {
+        if (typeof nav.getGamepads !== "function") return [];
+
+        return Array.from(nav.getGamepads()).filter(pad => pad !== null && pad.connected);
+    };
+
+    const obj = {
+        deadZone: options.deadZone,
+        // Whether each button is down, by index.
+        buttons: [],
+        // Position [x, y] of each stick, by index, with x to the right and y down (-1 to 1).
+        sticks: [],
+        // Listeners called with (button, value) when a button is pressed or released.
+        buttonListeners: [],
+        isButtonDown: function (button) {
+            return this.buttons[button] === true;
+        },
+        /**
+         * Returns the position [x, y] of a stick, or [0, 0] if there is no such stick.
+         */
+        getStick: function (stick) {
+            return stick < this.sticks.length ? this.sticks[stick] : [0, 0];
+        },
+        /**
+         * Adds a listener called with (button, value) when any button is pressed or released.
+         * Returns a function that removes it.
+         */
+        addButtonListener: function (listener) {
+            const listeners = this.buttonListeners;
+            listeners.push(listener);
+
+            let isRemoved = false;
+
+            return function remove() {
+                if (!isRemoved) {
+                    isRemoved = true;
+
+                    const i = listeners.indexOf(listener);
+                    if (i === -1) {
+                        throw new Error("Invalid state.");
+                    }
+                    listeners.splice(i, 1);
+                }
+            };
+        },
+        /**
+         * Reads the gamepads and calls the listeners of the buttons that changed.
+         */
+        update: function () {
+            const buttons = [];
+            const sticks = [];
+
+            for (const pad of getGamepads()) {
+                pad.buttons.forEach(function (button, i) {
+                    buttons[i] = buttons[i] === true || button.value >= options.buttonThreshold;
+                });
+
+                for (let i = 0; i + 1 < pad.axes.length; i += 2) {
+                    const stick = applyDeadZone(pad.axes[i], pad.axes[i + 1], this.deadZone);
+
+                    // The stick pushed furthest of all the gamepads is used.
+                    const s = i / 2;
+                    if (s >= sticks.length || Math.hypot(...stick) > Math.hypot(...sticks[s])) {
+                        sticks[s] = stick;
+                    }
+                }
+            }
+
+            const previous = this.buttons;
+            this.buttons = buttons;
+            this.sticks = sticks;
+
+            // Buttons of gamepads that were disconnected are released.
+            const count = Math.max(buttons.length, previous.length);
+            for (let i = 0; i < count; ++i) {
+                const isDown = buttons[i] === true;
+                if (isDown === (previous[i] === true)) continue;
+
+                for (const listener of this.buttonListeners.slice()) {
+                    listener(i, isDown);
+                }
+            }
+        }
+    };
+
+    return obj;
+}
+
+export {
+    ClickAndDragHandler, windowToClipSpace,
+    getPlatform, isApplePlatform, getEventModifiers,
+    KeyInputManager, GamepadInputManager
+};
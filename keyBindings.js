@@ -0,0 +1,346 @@
+
+/*
+Key bindings: which keys do which actions.
+A key combination is written like "Ctrl+Shift+Z": the modifiers held, in the
+order of MODIFIER_KEYS, then the key. Keys are found by where they are on the
+keyboard (KeyboardEvent.code) and named as on a US keyboard, so "R" is the same
+key with any layout, and "R" and "Shift+R" are different combinations.
+Each action can have any number of combinations but a combination
+can only do one action.
+The bindings chosen are kept in localStorage.
+*/
+
+import { isUdf, makeObj } from "./type.js";
+
+// Names of the modifiers in combinations and the keys that hold them.
+const MODIFIER_KEYS = {
+    "Ctrl": "Control",
+    "Alt": "Alt",
+    "Shift": "Shift",
+    "Meta": "Meta"
+};
+
+// Names of keys by KeyboardEvent.code, for keys not named by
+// their code without "Key" or "Digit" (e.g. "KeyR" is "R").
+const KEY_NAMES = {
+    "Semicolon": ";", "Quote": "'", "Comma": ",", "Period": ".", "Slash": "/",
+    "Backslash": "\\", "BracketLeft": "[", "BracketRight": "]",
+    "Minus": "-", "Equal": "=", "Backquote": "`"
+};
+
+// Moves that can be bound to keys, in standard notation.
+const MOVE_ACTIONS = [
+    "U", "U'", "D", "D'",
+    "R", "R'", "L", "L'",
+    "F", "F'", "B", "B'",
+    "M", "M'", "E", "E'", "S", "S'",
+    "r", "r'", "l", "l'",
+    "x", "x'", "y", "y'", "z", "z'"
+];
+
+// Every action that can be bound, as { id, name } in the order they are listed.
+const ACTIONS = MOVE_ACTIONS.map(m => ({ id: m, name: m })).concat([
+    { id: "undo", name: "Undo" },
+    { id: "redo", name: "Redo" },
+    { id: "hint", name: "Hint" },
+    { id: "view-front", name: "Front view" },
+    { id: "view-top", name: "Top view" },
+    { id: "view-isometric", name: "Isometric view" },
+    { id: "view-back", name: "Back view" }
+]);
+
+// Bindings every preset has, on Apple platforms (see isApplePlatform)
+// and on the others.
+const APPLE_BINDINGS = {
+    "undo": ["Meta+Z"],
+    "redo": ["Meta+Shift+Z"]
+};
+const OTHER_BINDINGS = {
+    "undo": ["Ctrl+Z"],
+    "redo": ["Ctrl+Shift+Z", "Ctrl+Y"]
+};
+const COMMON_BINDINGS = {
+    "view-front": ["1"],
+    "view-top": ["2"],
+    "view-isometric": ["3"],
+    "view-back": ["4"]
+};
+
+const KEY_PRESETS = {
+    // Keys named after the colors of the faces (g = green = L, b = blue = R, ...),
+    // turning counter clockwise, or clockwise with Shift.
+    "colors": {
+        name: "Colors",
+        bindings: {
+            "L'": ["G"], "L": ["Shift+G"],
+            "M": ["X"], "M'": ["Shift+X"],
+            "R'": ["B"], "R": ["Shift+B"],
+            "F'": ["R"], "F": ["Shift+R"],
+            "S'": ["Z"], "S": ["Shift+Z"],
+            "B'": ["O"], "B": ["Shift+O"],
+            "U'": ["U"], "U": ["Shift+U"],
+            "E": ["Y"], "E'": ["Shift+Y"],
+            "D'": ["D"], "D": ["Shift+D"],
+            "hint": ["H"]
+        }
+    },
+    // Each key turns the move it names clockwise, or counter clockwise with Shift.
+    "notation": {
+        name: "Notation",
+        bindings: {
+            "U": ["U"], "U'": ["Shift+U"],
+            "D": ["D"], "D'": ["Shift+D"],
+            "R": ["R"], "R'": ["Shift+R"],
+            "L": ["L"], "L'": ["Shift+L"],
+            "F": ["F"], "F'": ["Shift+F"],
+            "B": ["B"], "B'": ["Shift+B"],
+            "M": ["M"], "M'": ["Shift+M"],
+            "E": ["E"], "E'": ["Shift+E"],
+            "S": ["S"], "S'": ["Shift+S"],
+            "x": ["X"], "x'": ["Shift+X"],
+            "y": ["Y"], "y'": ["Shift+Y"],
+            "z": ["Z"], "z'": ["Shift+Z"],
+            "hint": ["H"]
+        }
+    },
+    // The virtual cube keys of csTimer and qqTimer, split between both hands.
+    "cstimer": {
+        name: "csTimer / qqTimer",
+        bindings: {
+            "U": ["J"], "U'": ["F"],
+            "R": ["I"], "R'": ["K"],
+            "L": ["D"], "L'": ["E"],
+            "F": ["H"], "F'": ["G"],
+            "B": ["W"], "B'": ["O"],
+            "D": ["S"], "D'": ["L"],
+            "r": ["U"], "r'": ["M"],
+            "l": ["V"], "l'": ["R"],
+            "M": ["5", "6"], "M'": ["X", "."],
+            "x": ["T", "Y"], "x'": ["B", "N"],
+            "y": [";"], "y'": ["A"],
+            "z": ["P"], "z'": ["Q"]
+        }
+    }
+};
+
+const DEFAULT_KEY_PRESET = "colors";
+// Preset name of bindings changed by the user.
+const CUSTOM_KEY_PRESET = "custom";
+
+const SETTINGS_KEY = "rubiks-cube.key-bindings";
+
+/**
+ * Returns the combination for a key pressed while the modifiers are held,
+ * or null if the key is itself a modifier.
+ * code - the name of the key in KeyInputManager (KeyboardEvent.code, or a modifier).
+ * isKeyDown - (key) => true if a key is held (see KeyInputManager.isKeyDown).
+ */
+function getKeyCombo(code, isKeyDown) {
+    if (Object.values(MODIFIER_KEYS).includes(code)) return null;
+
+    const modifiers = Object.keys(MODIFIER_KEYS).filter(m => isKeyDown(MODIFIER_KEYS[m]));
+
+    let name = code;
+    if (code in KEY_NAMES) {
+        name = KEY_NAMES[code];
+    } else if (/^(Key|Digit)\w$/.test(code)) {
+        name = code.slice(-1);
+    }
+
+    return modifiers.concat([name]).join("+");
+}
+
+/**
+ * Returns the bindings of a preset: an object with
+ * the combinations of each action that has any.
+ * isApple - true to use Command instead of Ctrl (see isApplePlatform).
+ */
+function getPresetBindings(preset, isApple) {
+    if (!(preset in KEY_PRESETS)) {
+        throw new Error("Invalid argument.");
+    }
+
+    const platformBindings = isApple ? APPLE_BINDINGS : OTHER_BINDINGS;
+
+    const bindings = makeObj();
+    for (const source of [platformBindings, COMMON_BINDINGS, KEY_PRESETS[preset].bindings]) {
+        for (const action of Object.keys(source)) {
+            bindings[action] = source[action].slice();
+        }
+    }
+
+    return bindings;
+}
+
+/**
+ * Returns the combinations bound to more than one action
+ * as [{ combo, actions }], or an empty array if there are none.
+ */
+function findConflicts(bindings) {
+    const actionsOfCombo = new Map();
+
+    for (const action of Object.keys(bindings)) {
+        for (const combo of bindings[action]) {
+            if (!actionsOfCombo.has(combo)) {
+                actionsOfCombo.set(combo, []);
+            }
+            actionsOfCombo.get(combo).push(action);
+        }
+    }
+
+    return Array.from(actionsOfCombo)
+        .filter(([, actions]) => actions.length > 1)
+        .map(([combo, actions]) => ({ combo, actions }));
+}
+
+/**
+ * Calls the handler of an action when one of its combinations is pressed.
+ * keyInput - the KeyInputManager keys are read from.
+ * settings - { preset, bindings } (see loadKeyBindings).
+ * isApple - true to use Command instead of Ctrl in presets (see isApplePlatform).
+ */
+function KeyBindings(keyInput, settings, isApple) {
+    const obj = {
+        preset: settings.preset,
+        bindings: settings.bindings,
+        // Handler of each action, called when it is pressed.
+        handlers: makeObj(),
+        // Called with the next combination instead of doing its action, or null.
+        onCapture: null,
+        /**
+         * Sets the function called when an action is pressed.
+         */
+        setHandler: function (action, handler) {
+            this.handlers[action] = handler;
+        },
+        /**
+         * Returns the action bound to a combination, or null.
+         */
+        findAction: function (combo) {
+            for (const action of Object.keys(this.bindings)) {
+                if (this.bindings[action].includes(combo)) return action;
+            }
+            return null;
+        },
+        /**
+         * Replaces the bindings with a preset's.
+         */
+        setPreset: function (preset) {
+            this.bindings = getPresetBindings(preset, isApple);
+            this.preset = preset;
+        },
+        /**
+         * Binds a combination to an action.
+         * Returns the other action the combination is already bound to, without binding it,
+         * or null if it was bound (or already was bound to this action).
+         */
+        bind: function (action, combo) {
+            const bound = this.findAction(combo);
+            if (bound === action) return null;
+            if (bound !== null) return bound;
+
+            if (!(action in this.bindings)) {
+                this.bindings[action] = [];
+            }
+            this.bindings[action].push(combo);
+            this.preset = CUSTOM_KEY_PRESET;
+
+            return null;
+        },
+        /**
+         * Removes every combination of an action.
+         */
+        clear: function (action) {
+            delete this.bindings[action];
+            this.preset = CUSTOM_KEY_PRESET;
+        },
+        /**
+         * Returns { preset, bindings } to save with saveKeyBindings.
+         */
+        getSettings: function () {
+            return { preset: this.preset, bindings: this.bindings };
+        }
+    };
+
+    keyInput.addAllKeysListener(function (key, isDown) {
+        if (!isDown) return;
+
+        const combo = getKeyCombo(key, k => keyInput.isKeyDown(k));
+        if (combo === null) return;
+
+        if (obj.onCapture !== null) {
+            const onCapture = obj.onCapture;
+            obj.onCapture = null;
+            onCapture(combo);
+            return;
+        }
+
+        const action = obj.findAction(combo);
+        if (action !== null && action in obj.handlers) {
+            obj.handlers[action]();
+        }
+    });
+
+    return obj;
+}
+
+/**
+ * Returns the bindings kept in storage as { preset, bindings },
+ * or the default preset if there are none or they can not be used.
+ * isApple - true to use Command instead of Ctrl in the default (see isApplePlatform).
+ */
+function loadKeyBindings(storage, isApple) {
+    const defaults = {
+        preset: DEFAULT_KEY_PRESET,
+        bindings: getPresetBindings(DEFAULT_KEY_PRESET, isApple)
+    };
+
+    let data = null;
+    try {
+        data = JSON.parse(storage.getItem(SETTINGS_KEY));
+    } catch (e) {
+        return defaults;
+    }
+
+    if (data === null || typeof data !== "object" ||
+        typeof data.bindings !== "object" || data.bindings === null) {
+        return defaults;
+    }
+
+    const bindings = makeObj();
+    for (const action of ACTIONS.map(a => a.id)) {
+        const combos = data.bindings[action];
+        if (isUdf(combos)) continue;
+
+        if (!Array.isArray(combos) || !combos.every(c => typeof c === "string" && c !== "")) {
+            return defaults;
+        }
+        bindings[action] = combos.slice();
+    }
+
+    if (findConflicts(bindings).length > 0) {
+        return defaults;
+    }
+
+    const preset = data.preset in KEY_PRESETS ? data.preset : CUSTOM_KEY_PRESET;
+    return { preset, bindings };
+}
+
+/**
+ * Keeps the bindings in storage.
+ * Returns false if they could not be saved.
+ */
+function saveKeyBindings(storage, settings) {
+    try {
+        storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export {
+    ACTIONS, MOVE_ACTIONS, KEY_PRESETS, DEFAULT_KEY_PRESET, CUSTOM_KEY_PRESET,
+    getKeyCombo, getPresetBindings, findConflicts,
+    KeyBindings, loadKeyBindings, saveKeyBindings
+};
@@ -0,0 +1,68 @@
+
+import { parseMoves, invertMove } from "./notation.js";
+
+/**
+ * Steps through the moves of a solution one move at a time.
+ * steps - array of { name, reason, moves } (e.g. from solveBeginner).
+ */
+function Lesson(steps) {
+    // Every move in order, with the index of the step it belongs to.
+    const moves = [];
+    for (let i = 0; i < steps.length; ++i) {
+        for (const move of parseMoves(steps[i].moves.join(" "))) {
+            moves.push({ move, step: i });
+        }
+    }
+
+    const obj = {
+        steps,
+        moves,
+        // Number of moves made so far.
+        position: 0,
+        /**
+         * Returns the next move to make and moves forward.
+         * Returns null at the end of the lesson.
+         */
+        next: function () {
+            if (this.position === this.moves.length) return null;
+
+            return this.moves[this.position++].move;
+        },
+        /**
+         * Returns the move that undoes the last move made and moves back.
+         * Returns null at the start of the lesson.
+         */
+        previous: function () {
+            if (this.position === 0) return null;
+
+            return invertMove(this.moves[--this.position].move);
+        },
+        /**
+         * Returns the index of the step of the next move,
+         * or of the last step when all moves are made.
+         */
+        getStepIndex: function () {
+            if (this.position === this.moves.length) return this.steps.length - 1;
+
+            return this.moves[this.position].step;
+        },
+        /**
+         * Returns the index of the next move within its step.
+         */
+        getMoveIndexInStep: function () {
+            const step = this.getStepIndex();
+
+            let first = this.position;
+            while (first > 0 && this.moves[first - 1].step === step) --first;
+
+            return this.position - first;
+        },
+        isFinished: function () {
+            return this.position === this.moves.length;
+        }
+    };
+
+    return obj;
+}
+
+export { Lesson };
@@ -72,6 +72,19 @@ function angleAxisToMat4(angle, axis) {
     return Mat4.fromQuat(Mat4.create(), q);
 }
 
+/**
+ * Returns a Mat4 from a 3x3 matrix.
+ * m - an array of 9 numbers in row major order.
+ */
+function mat3ToMat4(m) {
+    return Mat4.fromValues(
+        m[0], m[3], m[6], 0,
+        m[1], m[4], m[7], 0,
+        m[2], m[5], m[8], 0,
+        0, 0, 0, 1
+    );
+}
+
 // Converts an angle from degrees to radians.
 function degreesToRadians(deg) {
     return (deg / 180) * Math.PI;
@@ -87,5 +100,6 @@ export {
     identityMat4, multiplyMat4,
     translateMat4, scaleMat4, rotateMat4,
     angleAxisToQuat, angleAxisToMat4,
+    mat3ToMat4,
     degreesToRadians, radiansToDegrees
 };
@@ -2,35 +2,98 @@
 Rubik's Cube Game
 Authors: Bryan Cohen & Tanishq Iyer
 
-Official colors of the Rubik's Cube are used.
-Red: #BA0C2F
-Blue: #003DA5
-Yellow: #FFD700
-Orange: #FE5000
-White: #FFFFFF
-Green: #009A44
-
-Dark side of cube: #353535
+The sticker colors come from the color schemes in colorSchemes.js
+(see COLOR_SCHEMES), or from the custom scheme kept in localStorage.
 */
 
 "use strict";
 
 import {
-    Vec2, Mat4, Quat,
-    identityMat4, multiplyMat4,
-    translateMat4, rotateMat4,
-    angleAxisToMat4,
-    degreesToRadians, radiansToDegrees
+    Vec2, Vec3, Quat, Mat4,
+    identityMat4,
+    translateMat4, scaleMat4, rotateMat4,
+    angleAxisToQuat, angleAxisToMat4, mat3ToMat4,
+    radiansToDegrees
 } from "./linearAlgebraUtils.js";
 
+import { isUdf } from "./type.js";
+
 import { SceneTreeNode, switchParentKeepTransform } from "./sceneTree.js";
 
-import { loadModelFromWavefrontOBJ } from "./models.js";
+import { CubeState, CUBE_ROTATIONS, X_AXIS, Y_AXIS } from "./cubeState.js";
+
+import { EventEmitter } from "./events.js";
+
+import { parseMoves, makeLayerMove, invertMove } from "./notation.js";
+
+import { MoveQueue } from "./moveQueue.js";
+
+import { MoveHistory } from "./history.js";
+
+import { Solver } from "./solver.js";
+
+import { cubieCubeFromFacelets } from "./cubie.js";
+
+import { faceletsToCubeState } from "./facelets.js";
+
+import { solveBeginner } from "./beginnerSolver.js";
+
+import { Lesson } from "./lesson.js";
+
+import { SolveTimer, formatTime, PLUS_TWO, DNF } from "./timer.js";
+
+import { Session, formatResult, getResultTime } from "./session.js";
+
+import { SolveStore } from "./solveStore.js";
+
+import { getRollingAverages, getPersonalBests, getHistogram } from "./stats.js";
+
+import { drawHistogram, drawTrend } from "./charts.js";
+
+import { toCsTimer, fromCsTimer } from "./cstimer.js";
+
+import { ReplayPlayer } from "./replay.js";
+
+import { saveGame, loadGame, clearSavedGame } from "./savedGame.js";
+
+import { parseShareQuery, makeShareUrl, removeShareQuery } from "./shareUrl.js";
+
+import { makeSeed } from "./random.js";
+
+import { makeArrowModel, makeCubieModel } from "./models.js";
+
+import {
+    CUSTOM_SCHEME, DEFAULT_SCHEME, COLOR_FACES,
+    isHexColor, hexToRgb,
+    makeColorSettings, loadColorSettings, saveColorSettings
+} from "./colorSchemes.js";
+
+import {
+    getPickRay, transformRay, getRayPoint, intersectBox
+} from "./picking.js";
+
+import { getArcballPoint, getArcballRotation } from "./arcball.js";
+
+import { Camera } from "./camera.js";
+
+import {
+    ACTIONS, MOVE_ACTIONS, DEFAULT_KEY_PRESET, CUSTOM_KEY_PRESET,
+    getPresetBindings, KeyBindings, loadKeyBindings, saveKeyBindings
+} from "./keyBindings.js";
+
+import {
+    GAMEPAD_BUTTON_NAMES, makeGamepadSettings, isDeadZone,
+    loadGamepadSettings, saveGamepadSettings
+} from "./gamepadBindings.js";
 
 import {
     ClickAndDragHandler,
     windowToClipSpace,
-    KeyInputManager
+    getPlatform,
+    isApplePlatform,
+    getEventModifiers,
+    KeyInputManager,
+    GamepadInputManager
 } from "./input.js";
 
 // Global WebGL context variable.
@@ -59,8 +122,11 @@ window.addEventListener("load", async function init() {
     gl.program = initProgram();
     initUniforms();
     initGlobals();
-    await initGameWorld();
+    initGameWorld();
     initEvents();
+    await loadSolves();
+    restoreGame();
+    applySharedLink();
     resizeCanvas();
 
     // Start the Game Loop
@@ -80,10 +146,16 @@ function initProgram() {
         uniform mat4 uCameraMatrix;
         uniform mat4 uProjectionMatrix;
 
+        // Colors of the stickers of a cubelet and then its body (see makeCubieModel).
+        uniform vec3 uStickerColors[7];
+
         in vec4 aPosition;
         in vec3 aNormal;
         in vec3 aColor;
         in vec2 aTexCoord;
+        // Sticker of the vertex from 1 to 6, 7 for the body of a cubelet
+        // or 0 if it is not on a cubelet.
+        in float aSticker;
 
         out vec3 vNormalVector;
         out vec3 vLightVector;
@@ -103,7 +175,9 @@ function initProgram() {
             vEyeVector = -P.xyz; // from position to camera
 
             gl_Position = uProjectionMatrix * P;
-            vColor = aColor;
+
+            int sticker = int(aSticker + 0.5) - 1;
+            vColor = sticker >= 0 ? uStickerColors[sticker] : aColor;
             vTexCoord = aTexCoord;
         }`
     );
@@ -126,9 +200,15 @@ function initProgram() {
         const float lightConstantB = 0.05;
         const float lightConstantC = 1.0;
 
+        // Color the cubelets of a hinted move are tinted with.
+        const vec3 highlightColor = vec3(1.0, 0.85, 0.0);
+
         uniform float uLightIntensity;
         uniform sampler2D uTexture;
 
+        // Opacity of the highlight color. 0 when drawing normally.
+        uniform float uHighlight;
+
         in vec3 vNormalVector;
         in vec3 vLightVector;
         in vec3 vEyeVector;
@@ -165,6 +245,10 @@ function initProgram() {
 
             fragColor.rgb = (((A + D) * color) + S) * lightColor * uLightIntensity;
             fragColor.a = 1.0;
+
+            if (uHighlight > 0.0) {
+                fragColor = vec4(highlightColor * (A + D), uHighlight);
+            }
         }
         `
     );
@@ -174,7 +258,7 @@ function initProgram() {
     gl.useProgram(program);
     
     // Get location of all attributes.
-    const attributes = ["aPosition", "aNormal", "aColor", "aTexCoord"];
+    const attributes = ["aPosition", "aNormal", "aColor", "aTexCoord", "aSticker"];
     for (const a of attributes) {
         program[a] = gl.getAttribLocation(program, a);
     }
@@ -183,7 +267,7 @@ function initProgram() {
     const uniforms = [
         "uCameraMatrix", "uModelMatrix", "uProjectionMatrix",
         "uLight", "uLightIntensity",
-        "uTexture"
+        "uTexture", "uHighlight", "uStickerColors"
     ];
     for (const u of uniforms) {
         program[u] = gl.getUniformLocation(program, u);
@@ -195,28 +279,132 @@ function initProgram() {
 function initUniforms() {
     // Set Texture Value
     gl.uniform1i(gl.program.uTexture, 0);
+
+    gl.uniform1f(gl.program.uHighlight, 0);
 }
 
 function initGlobals() {
     GLB.lastFrameTime = null;
-    GLB.rotationCountDown = 0;
+
+    // The move queue entry currently being animated.
     GLB.curRotation = null;
+
+    // The layer being turned by dragging a sticker, if any (see startLayerDrag).
+    GLB.layerDrag = null;
+
+    // Angular velocity (Vec3 in view space, degrees per millisecond)
+    // of the cube spinning after it is let go, or null.
+    GLB.spin = null;
+
+    // The cube turning to an orientation: { from, to, timeMs } with Quats, or null.
+    GLB.orientationTween = null;
+
+    // Moves waiting to be animated.
+    GLB.moveQueue = MoveQueue();
+
+    // Moves made on the cube that can be undone.
+    GLB.history = MoveHistory();
+
+    // Runs the solver and scrambler off the main thread.
+    GLB.solver = Solver();
+    GLB.isSolving = false;
+
+    // The beginner's method lesson being stepped through, if any.
+    GLB.lesson = null;
+
+    // The hinted move and the cubelets it turns, if a hint is shown.
+    GLB.hint = null;
+    GLB.isFindingHint = false;
+
+    // Times solves after each scramble.
+    GLB.timer = SolveTimer();
+    // Results of the timed solves.
+    GLB.session = Session();
+    // Text of the scramble being timed.
+    GLB.timerScramble = null;
+    // Moves of the solve being timed as { name, timeMs } from the start of the solve.
+    GLB.timerMoves = [];
+
+    // Keeps the solves between visits. null if IndexedDB is not available.
+    GLB.store = window.indexedDB ? SolveStore(window.indexedDB) : null;
+    // Solves being added to the store, which have no id until it is done.
+    GLB.savingSolves = new Set();
+
+    /*
+    The solve being replayed, if any:
+    { player, applied, rotating } where applied is the number of moves applied
+    to the cube state and rotating is the index of the move being animated or null.
+    */
+    GLB.replay = null;
+
+    // Keeps the game in progress between visits. null if localStorage is not available.
+    GLB.storage = getLocalStorage();
+
+    // Colors of the faces and body of the cube: { scheme, faces, body }.
+    GLB.colors = GLB.storage !== null ?
+        loadColorSettings(GLB.storage) :
+        makeColorSettings(DEFAULT_SCHEME);
+
+    /*
+    Emits:
+    "shuffle" (scramble) after the cube is shuffled.
+    "solved" (moveCount) when a rotation solves the cube.
+    */
+    GLB.events = EventEmitter();
+    GLB.isSolved = true;
+    GLB.moveCount = 0;
 }
 
+const DEFAULT_CUBE_SIZE = 3;
+const MIN_CUBE_SIZE = 2;
+const MAX_CUBE_SIZE = 7;
+
+// Distance between cubelets of a 3x3x3 cube.
+// Bigger cubes have smaller cubelets so every cube is the same size.
+const CUBELET_SPACING = 0.42;
+// Width of a cubelet of a 3x3x3 cube, also the box used to pick it with the mouse.
+const CUBELET_SIZE = 0.4;
+
+// Distance from the camera to the center of the cube before it is zoomed.
+const CAMERA_DISTANCE = 4;
+const MIN_CAMERA_DISTANCE = 2;
+const MAX_CAMERA_DISTANCE = 10;
+// Zoom for each pixel the mouse wheel scrolls (as a power of e).
+const WHEEL_ZOOM_SPEED = 0.002;
+// Pixels scrolled for each line when the wheel scrolls by lines.
+const WHEEL_LINE_HEIGHT = 16;
+
+// Faces of the cube in the order of the cubelet model's stickers (+x, -x, +y, -y, +z, -z).
+const STICKER_FACES = ["R", "L", "U", "D", "F", "B"];
+
 /**
  * Create the camera and all objects in world.
  * Load all objects' models.
  */
-async function initGameWorld() {
+function initGameWorld() {
     GLB.world = SceneTreeNode("world");
 
+    // The logical state of the Rubik's Cube.
+    // The cubelets in the scene are positioned from it.
+    GLB.cubeState = CubeState(DEFAULT_CUBE_SIZE);
+
     // Create the camera.
     {
         const camera = SceneTreeNode("camera");
-        translateMat4(camera.localTransform, [0, 0, 4]);
 
         GLB.world.camera = camera;
         GLB.world.addChild(camera);
+
+        // Where the camera is and where it is moving to.
+        GLB.cameraState = Camera({
+            distance: CAMERA_DISTANCE,
+            minDistance: MIN_CAMERA_DISTANCE,
+            maxDistance: MAX_CAMERA_DISTANCE
+        });
+        camera.localTransform = GLB.cameraState.getTransform();
+
+        // Right dragging and moving two fingers pan the camera when enabled.
+        GLB.allowPan = false;
     }
 
     // Create the Rubik's Cube Parent Objects.
@@ -225,6 +413,9 @@ async function initGameWorld() {
         rotateMat4(GLB.rubiksCube.localTransform, 30, [1, 0, 0]);
         rotateMat4(GLB.rubiksCube.localTransform, -45, [0, 1, 0]);
 
+        // Orientation the cube is shown in before it is rotated.
+        GLB.defaultCubeTransform = Mat4.clone(GLB.rubiksCube.localTransform);
+
         // Parent of the smaller cubes in the Rubik's cube.
         GLB.cubelets = SceneTreeNode("empty");
         
@@ -234,354 +425,2073 @@ async function initGameWorld() {
         GLB.world.addChild(GLB.rubiksCube);
         GLB.rubiksCube.addChild(GLB.cubelets);
         GLB.rubiksCube.addChild(GLB.temp);
+
+        // Cubelets indexed the same way as in the cube state.
+        GLB.cubeletNodes = [];
     }
 
-    const cornerCubletModel = await loadModelFromWavefrontOBJ(gl, "models/corner.obj");
-    const edgeCubletModel = await loadModelFromWavefrontOBJ(gl, "models/edge.obj");
-    const centerCubletModel = await loadModelFromWavefrontOBJ(gl, "models/center.obj");
+    // Models are colored by their vertices, not textured.
+    GLB.whiteTexture = createWhiteTexture();
 
-    const cubletModels = [
-        cornerCubletModel,
-        edgeCubletModel, 
-        centerCubletModel,
-        null // no model for core
-    ];
+    // Every cubelet uses the same model with its own sticker colors.
+    GLB.cubeletModel = makeCubieModel(gl, { size: CUBELET_SIZE });
 
-    const cubletModelTransforms = [
-        identityMat4(),
-        translateMat4(identityMat4(), [0, 0.015, -0.018]),
-        translateMat4(identityMat4(), [0, 0.12, 0]),
-        null
-    ];
+    // Arrow showing which way a hinted move turns.
+    // Only added to the scene while a hint is shown.
+    GLB.hintArrow = SceneTreeNode("model");
+    GLB.hintArrow.model = makeArrowModel(gl);
+    GLB.hintArrow.texture = GLB.whiteTexture;
 
-    const cubletRotations = [
-        [180, 90, 0], [180, -90, 0], [0, 0, 180],
-        [0, 0, 90],   [0, 0, 90],    [90, 0, 90],
-        [0, 180, 0],  [0, 90, 0],    [0, -90, 0],
+    buildCubelets();
+}
 
-        [0, 0, 180], [0, 0, 180], [180, 0, 0],
-        [-90, 0, 0], null,        [90, 0, 0],
-        null,        null,        [0, 180, 0],
+/**
+ * Returns the colors of the stickers and body of the cubelet at a home position
+ * as the flat array the uStickerColors uniform takes.
+ * Stickers inside the cube are the color of the body.
+ */
+function getStickerColors(position, size) {
+    const { faces, body } = GLB.colors;
 
-        [180, 0, 0],  [180, 90, 0], [0, -90, 180],
-        [-90, 0, 90], [0, 0, -90],  [180, 0, 90],
-        [0, 90, 0],   [0, -90, 0],  null
-    ];
+    const stickers = STICKER_FACES.map(function (face, i) {
+        const axis = Math.floor(i / 2);
+        const layer = i % 2 === 0 ? size - 1 : 0;
 
-    const cubletTextures = [
-        "corner-yellow-green-orange.png", "edge-yellow-green.png", "corner-yellow-green-red.png",
-        "edge-green-orange.png", "center-green.png", "edge-green-red.png",
-        "corner-white-green-orange.png", "edge-white-green.png", "corner-white-green-red.png",
+        return position[axis] === layer ? faces[face] : body;
+    });
 
-        "edge-yellow-orange.png", "center-yellow.png", "edge-yellow-red.png",
-        "center-orange.png", null, "center-red.png",
-        "edge-white-orange.png", "center-white.png", "edge-white-red.png",
+    return stickers.concat([body]).flatMap(hexToRgb);
+}
 
-        "corner-yellow-blue-orange.png", "edge-yellow-blue.png", "corner-yellow-blue-red.png",
-        "edge-blue-orange.png", "center-blue.png", "edge-blue-red.png",
-        "corner-white-blue-orange.png", "edge-white-blue.png", "corner-white-blue-red.png",
-    ];
+/**
+ * Recolors every cubelet, e.g. after the color scheme is changed.
+ */
+function updateStickerColors() {
+    const size = GLB.cubeState.size;
 
-    // Load all textures.
-    for (let i = 0; i < cubletTextures.length; ++i) {
-        let filename = cubletTextures[i];
-        if (filename !== null) {
-            filename = "textures/" + filename;
-            cubletTextures[i] = await getTexture(filename);
+    for (const cublet of GLB.cubeletNodes) {
+        if (cublet.type === "model") {
+            cublet.stickerColors = getStickerColors(cublet.homePosition, size);
         }
     }
+}
+
+/**
+ * Shows the colors in the color settings.
+ */
+function updateColorsView() {
+    document.getElementById("color-scheme").value = GLB.colors.scheme;
+
+    for (const face of COLOR_FACES) {
+        document.getElementById("color-" + face).value = GLB.colors.faces[face];
+    }
+    document.getElementById("color-body").value = GLB.colors.body;
+}
+
+/**
+ * Applies a change to the colors to the cube right away and keeps it.
+ * change - called with the color settings to change them.
+ */
+function changeColors(change) {
+    change(GLB.colors);
+
+    updateStickerColors();
+    updateColorsView();
+
+    if (GLB.storage !== null) {
+        saveColorSettings(GLB.storage, GLB.colors);
+    }
+}
+
+/**
+ * Creates the cubelets in the scene for the size of the cube state.
+ * Each cubelet has a sticker for each face of the cube it is on.
+ */
+function buildCubelets() {
+    const size = GLB.cubeState.size;
+
+    for (const cublet of GLB.cubeletNodes) {
+        GLB.cubelets.removeChild(cublet);
+    }
+    GLB.cubeletNodes = [];
 
-    // Create cubelets.
-    for (let x = 0; x < 3; ++x) {
-        for (let y = 0; y < 3; ++y) {
-            for (let z = 0; z < 3; ++z) {
-                const numAxesCentered = [x, y, z]
-                    .map(axis => axis === 1 ? 1 : 0)
-                    .reduce((a, b) => a + b);
-                const isCore = numAxesCentered === 3;
-                const hasModel = !isCore;
-                
-                const cubletIndex = (x * 9) + (y * 3) + z;
+    const scale = 3 / size;
+    const spacing = CUBELET_SPACING * scale;
 
-                const nodeType = isCore ? "empty" : "model";
+    for (let x = 0; x < size; ++x) {
+        for (let y = 0; y < size; ++y) {
+            for (let z = 0; z < size; ++z) {
+                const isOnSurface = [x, y, z].some(e => e === 0 || e === size - 1);
+
+                // Cubelets inside the cube are never seen.
+                const nodeType = isOnSurface ? "model" : "empty";
                 const cublet = SceneTreeNode(nodeType);
 
-                if (hasModel) {
-                    cublet.model = cubletModels[numAxesCentered];
-                    cublet.texture = cubletTextures[cubletIndex];
+                if (isOnSurface) {
+                    cublet.model = GLB.cubeletModel;
+                    cublet.texture = GLB.whiteTexture;
+                    cublet.homePosition = [x, y, z];
+                    cublet.stickerColors = getStickerColors([x, y, z], size);
                 }
 
-                translateMat4(cublet.localTransform, [x, y, z].map(e => (e - 1) * 0.42));
+                translateMat4(cublet.localTransform,
+                    [x, y, z].map(e => (e - ((size - 1) / 2)) * spacing));
 
-                const rot = cubletRotations[cubletIndex];
-                if (rot !== null) {
-                    const q = Quat.fromEuler(Quat.create(), rot[0], rot[1], rot[2]);
-                    const m = Mat4.fromQuat(Mat4.create(), q);
-                    multiplyMat4(cublet.localTransform, m);
-                }
+                scaleMat4(cublet.localTransform, scale);
 
-                if (hasModel) {
-                    const t = cubletModelTransforms[numAxesCentered];
-                    multiplyMat4(cublet.localTransform, t);
-                }
+                // Transform of the cubelet when the cube is solved.
+                cublet.homeTransform = cublet.localTransform;
 
                 GLB.cubelets.addChild(cublet);
+                GLB.cubeletNodes.push(cublet);
             }
         }
     }
+
+    updateCubeletTransforms();
 }
 
 /**
- * Initialize event handlers.
+ * Returns true if a cube of this many layers can be played.
  */
-function initEvents() {
-    window.addEventListener("resize", resizeCanvas);
-
-    const shuffleButton = document.getElementById("shuffle");
-    shuffleButton.addEventListener("click", onClickShuffle);
-
-    GLB.keyInput = KeyInputManager(window);
+function isCubeSize(size) {
+    return Number.isInteger(size) && size >= MIN_CUBE_SIZE && size <= MAX_CUBE_SIZE;
+}
 
-    const handler = ClickAndDragHandler(GLB.canvasElm, onMouse);
-    handler.attach();
+/**
+ * Replaces the cube with a solved cube of a different size.
+ */
+function setCubeSize(size) {
+    finishAllRotations();
+    endLesson();
+
+    GLB.cubeState = CubeState(size);
+    buildCubelets();
+    resetRubiksCube();
+
+    GLB.timer.reset();
+    GLB.timerScramble = null;
+    GLB.timerMoves = [];
+    GLB.moveCount = 0;
+    updateTimerDisplay();
+
+    document.getElementById("cube-size").value = String(size);
+    document.getElementById("scramble").textContent = "";
+    showBanner(false);
+
+    // Stats and replays are only for solves of the same size.
+    updateSessionView();
 }
 
 /**
- * Keep the canvas sized to the window.
+ * Positions every cubelet in the scene from the cube state.
  */
-function resizeCanvas() {
-    const size = Math.min(window.innerWidth, window.innerHeight);
+function updateCubeletTransforms() {
+    const orientations = GLB.cubeState.orientations;
 
-    gl.canvas.width = size;
-    gl.canvas.height = size;
-    gl.viewport(0, 0, size, size);
+    for (let i = 0; i < GLB.cubeletNodes.length; ++i) {
+        const cublet = GLB.cubeletNodes[i];
 
-    updateProjectionMatrix();
+        cublet.localTransform = Mat4.multiply(
+            Mat4.create(),
+            mat3ToMat4(orientations[i]),
+            cublet.homeTransform
+        );
+    }
 }
 
 /**
- * Updates the projection matrix based on the current canvas dimensions.
+ * Initialize event handlers.
  */
-function updateProjectionMatrix() {
-    let [w, h] = [gl.canvas.width, gl.canvas.height];
+function initEvents() {
+    window.addEventListener("resize", resizeCanvas);
 
-    const proj = Mat4.perspective(Mat4.create(), degreesToRadians(90), w / h, 0.0001, 1000);
+    const shuffleButton = document.getElementById("shuffle");
+    shuffleButton.addEventListener("click", onClickShuffle);
 
-    gl.uniformMatrix4fv(gl.program.uProjectionMatrix, false, proj);
-}
+    const playButton = document.getElementById("play");
+    playButton.addEventListener("click", onClickPlay);
 
-function onClickShuffle() {
-    const d = document.getElementById("difficulty").value;
+    const solveButton = document.getElementById("solve");
+    solveButton.addEventListener("click", onClickSolve);
 
-    let numShuffles;
-    if (d === "easy") {
-        numShuffles = 2;
-    } else if (d === "medium") {
-        numShuffles = 5;
-    } else if (d === "hard") {
-        numShuffles = 30;
-    }
+    const hintButton = document.getElementById("hint");
+    hintButton.addEventListener("click", showHint);
 
-    shuffleRubiksCube(numShuffles);
-}
+    const speedUpCheckbox = document.getElementById("speed-up");
+    GLB.moveQueue.speedUp = speedUpCheckbox.checked;
+    speedUpCheckbox.addEventListener("change", function () {
+        GLB.moveQueue.speedUp = this.checked;
+    });
 
-const ROTATE_Z_KEY = "Meta";
-const LOCK_AXIS_KEY = "Shift";
-const LOCK_STEP_KEY = "Alt";
+    const allowPanCheckbox = document.getElementById("allow-pan");
+    GLB.allowPan = allowPanCheckbox.checked;
+    allowPanCheckbox.addEventListener("change", function () {
+        GLB.allowPan = this.checked;
 
-const XY_ROTATE_SPEED = 3;
-const Z_ROTATE_SPEED = 3;
-const STEP_SIZE = 20;
+        if (!GLB.allowPan) {
+            GLB.cameraState.setPan([0, 0]);
+        }
+    });
 
-/**
- * Handles rotating the Rubik's cube
- * when clicking and dragging with the mouse.
- */
-function onMouse(e, state, self) {
-    function updateTransform() {
-        const rotateZ = GLB.keyInput.isKeyDown(ROTATE_Z_KEY);
-        const lockAxis = GLB.keyInput.isKeyDown(LOCK_AXIS_KEY);
-        const lockStep = GLB.keyInput.isKeyDown(LOCK_STEP_KEY);
+    const orthographicCheckbox = document.getElementById("orthographic");
+    GLB.cameraState.isOrthographic = orthographicCheckbox.checked;
+    orthographicCheckbox.addEventListener("change", function () {
+        GLB.cameraState.isOrthographic = this.checked;
+        updateProjectionMatrix();
+    });
 
-        const applyStep = (x) => Math.floor(x / STEP_SIZE) * STEP_SIZE;
+    const teachButton = document.getElementById("teach");
+    teachButton.addEventListener("click", onClickTeach);
 
-        let rot;
-        if (rotateZ) {
-            // TODO: (Maybe?) center mousePos on view space cube center.
+    const lessonPrevButton = document.getElementById("lesson-prev");
+    lessonPrevButton.addEventListener("click", previousLessonMove);
 
-            const [x, y] = self.mousePos;
-            const curAngle = Math.atan2(y, x);
+    const lessonNextButton = document.getElementById("lesson-next");
+    lessonNextButton.addEventListener("click", nextLessonMove);
 
-            let angle = radiansToDegrees((curAngle - self.startAngle) * Z_ROTATE_SPEED);
+    const inspectionCheckbox = document.getElementById("inspection");
+    GLB.timer.useInspection = inspectionCheckbox.checked;
+    inspectionCheckbox.addEventListener("change", function () {
+        GLB.timer.useInspection = this.checked;
+    });
 
-            if (lockStep) {
-                angle = applyStep(angle);
-            }
+    const clearSessionButton = document.getElementById("clear-session");
+    clearSessionButton.addEventListener("click", function () {
+        GLB.session.clear();
+        saveSolves(store => store.clear());
+        updateSessionView();
+    });
 
-            rot = angleAxisToMat4(angle, [0, 0, 1]);
-        } else {
-            const diff = Vec2.subtract(Vec2.create(), self.mousePos, self.startMousePos);
-            const [x, y] = diff;
+    const showStatsButton = document.getElementById("show-stats");
+    showStatsButton.addEventListener("click", function () {
+        const stats = document.getElementById("stats");
+        stats.style.display = stats.style.display === "block" ? "none" : "block";
+        updateStatsView();
+    });
 
-            const baseSpeed = 100;
-            let angleX = x * baseSpeed * XY_ROTATE_SPEED;
-            let angleY = y * baseSpeed * XY_ROTATE_SPEED;
-            
-            if (lockStep) {
-                angleX = applyStep(angleX);
-                angleY = applyStep(angleY);
-            }
+    const exportButton = document.getElementById("export-solves");
+    exportButton.addEventListener("click", exportSolves);
+
+    const importInput = document.getElementById("import-solves");
+    importInput.addEventListener("change", function () {
+        if (this.files.length > 0) {
+            importSolves(this.files[0]);
+            this.value = "";
+        }
+    });
 
-            const rotX = angleAxisToMat4(angleX, [0, 1, 0]);
-            const rotY = angleAxisToMat4(angleY, [-1, 0, 0]);
+    const replayPlayButton = document.getElementById("replay-play");
+    replayPlayButton.addEventListener("click", function () {
+        if (GLB.replay === null) return;
 
-            if (lockAxis) {
-                rot = Math.abs(x) >= Math.abs(y) ? rotX : rotY;
-            } else {
-                rot = Mat4.multiply(Mat4.create(), rotX, rotY);
-            }
+        const player = GLB.replay.player;
+        if (player.isPlaying) {
+            player.pause();
+        } else {
+            player.play();
         }
+        updateReplayView();
+    });
 
-        // Rotate in view space.
-        GLB.rubiksCube.localTransform = Mat4.multiply(
-            Mat4.create(),
-            rot,
-            self.startTransform
-        );
-    }
+    const replayPrevButton = document.getElementById("replay-prev");
+    replayPrevButton.addEventListener("click", function () {
+        if (GLB.replay === null) return;
 
-    // Saving to self so updateTransform has access to
-    // last captured mouse position when called in a listener.
-    self.mousePos = windowToClipSpace(
-        e.offsetX, e.offsetY, this.width, this.height);
+        GLB.replay.player.stepBackward();
+        showReplayPosition();
+        updateReplayView();
+    });
 
-    if (state === "enter") {
-        const clickedLeftMouseButton = e.button === 0;
+    const replayNextButton = document.getElementById("replay-next");
+    replayNextButton.addEventListener("click", function () {
+        if (GLB.replay === null) return;
 
-        if (clickedLeftMouseButton) {
-            self.startMousePos = self.mousePos;
-            self.startTransform = GLB.rubiksCube.transform;
+        GLB.replay.player.stepForward();
+        showReplayPosition();
+        updateReplayView();
+    });
 
-            const [x, y] = self.startMousePos;
-            self.startAngle = Math.atan2(y, x);
-            
-            self.removes = [
-                GLB.keyInput.addListener(ROTATE_Z_KEY, updateTransform),
-                GLB.keyInput.addListener(LOCK_AXIS_KEY, updateTransform),
-                GLB.keyInput.addListener(LOCK_STEP_KEY, updateTransform)
-            ];
+    const replayScrub = document.getElementById("replay-scrub");
+    replayScrub.addEventListener("input", function () {
+        if (GLB.replay === null) return;
 
-            return true; // enters drag
-        }
-    } else if (state === "drag") {
-        updateTransform();
-    } else if (state === "exit") {
-        for (const remove of self.removes) {
-            remove();
+        GLB.replay.player.pause();
+        GLB.replay.player.seek(Number(this.value));
+        showReplayPosition();
+        updateReplayView();
+    });
+
+    const replaySpeedSelect = document.getElementById("replay-speed");
+    replaySpeedSelect.addEventListener("change", function () {
+        if (GLB.replay !== null) {
+            GLB.replay.player.speed = Number(this.value);
         }
-    }
+    });
 
-    return false;
-}
+    const replayCloseButton = document.getElementById("replay-close");
+    replayCloseButton.addEventListener("click", stopReplay);
 
-/**
- * Runs all tasks for a single frame.
- */
-function runFrame() {
-    // Get time since last frame (in milliseconds).
-    let deltaTimeMs;
-    {
-        const time = performance.now();
+    const undoButton = document.getElementById("undo");
+    undoButton.addEventListener("click", undoMove);
 
-        if (GLB.lastFrameTime === null) {
-            GLB.lastFrameTime = time;
+    const redoButton = document.getElementById("redo");
+    redoButton.addEventListener("click", redoMove);
+
+    const newCubeButton = document.getElementById("new-cube");
+    newCubeButton.addEventListener("click", onClickNewCube);
+
+    const snapOrientationButton = document.getElementById("snap-orientation");
+    snapOrientationButton.addEventListener("click", snapCubeOrientation);
+
+    const schemeSelect = document.getElementById("color-scheme");
+    schemeSelect.addEventListener("change", function () {
+        // Picking custom keeps the colors so they can be edited.
+        if (this.value === CUSTOM_SCHEME) {
+            changeColors(colors => { colors.scheme = CUSTOM_SCHEME; });
+        } else {
+            const scheme = makeColorSettings(this.value);
+            changeColors(colors => Object.assign(colors, scheme, { body: colors.body }));
         }
+    });
 
-        deltaTimeMs = time - GLB.lastFrameTime;
+    for (const face of COLOR_FACES) {
+        document.getElementById("color-" + face).addEventListener("input", function () {
+            if (!isHexColor(this.value)) return;
 
-        GLB.lastFrameTime = time;
+            const color = this.value;
+            changeColors(function (colors) {
+                colors.faces[face] = color;
+                colors.scheme = CUSTOM_SCHEME;
+            });
+        });
     }
 
-    updateRubiksCube(deltaTimeMs);
-
-    render();
+    document.getElementById("color-body").addEventListener("input", function () {
+        if (!isHexColor(this.value)) return;
 
-    window.requestAnimationFrame(runFrame);
-}
+        const color = this.value;
+        changeColors(colors => { colors.body = color; });
+    });
 
-/**
- * Render the scene.
- */
-function render() {
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    updateColorsView();
 
-    gl.uniform4fv(gl.program.uLight, [0, 0, 10, 1]);
-    gl.uniform1f(gl.program.uLightIntensity, 4);
-    
-    gl.uniformMatrix4fv(gl.program.uCameraMatrix, false, GLB.world.camera.transform);
+    const sizeSelect = document.getElementById("cube-size");
+    sizeSelect.addEventListener("change", function () {
+        setCubeSize(Number(this.value));
+        saveCurrentGame();
+    });
 
-    const draw = function (obj) {
-        if (obj.type === "model") {
-            gl.uniformMatrix4fv(gl.program.uModelMatrix, false, obj.transform);
+    const shareButton = document.getElementById("share");
+    shareButton.addEventListener("click", onClickShare);
 
-            const model = obj.model;
+    const importFaceletsButton = document.getElementById("import-facelets");
+    importFaceletsButton.addEventListener("click", onClickImportFacelets);
 
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+    const exportFaceletsButton = document.getElementById("export-facelets");
+    exportFaceletsButton.addEventListener("click", function () {
+        document.getElementById("facelets").value = GLB.cubeState.getFacelets();
+        document.getElementById("facelets-error").textContent = "";
+    });
 
-            gl.bindVertexArray(model.vao);
-            gl.drawElements(model.mode, model.count, gl.UNSIGNED_SHORT, 0);
+    // The last chance to save before the page is closed or reloaded.
+    window.addEventListener("pagehide", function () {
+        if (GLB.replay === null) {
+            finishAllRotations();
         }
+        saveCurrentGame();
+    });
 
-        for (const child of obj.children) {
-            draw(child);
-        }
-    }
+    GLB.keyInput = KeyInputManager(window);
 
-    draw(GLB.world);
+    // Which keys turn the cube and do the other actions.
+    const isApple = isApplePlatform(navigator);
+    GLB.keyBindings = KeyBindings(GLB.keyInput, GLB.storage !== null ?
+        loadKeyBindings(GLB.storage, isApple) :
+        { preset: DEFAULT_KEY_PRESET, bindings: getPresetBindings(DEFAULT_KEY_PRESET, isApple) }, isApple);
+    addKeyBindingHandlers();
 
-    // Cleanup
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindVertexArray(null);
-}
+    initGamepadInput();
+
+    const keyPresetSelect = document.getElementById("key-preset");
+    keyPresetSelect.addEventListener("change", function () {
+        // Picking custom keeps the keys so they can be edited.
+        if (this.value === CUSTOM_KEY_PRESET) {
+            GLB.keyBindings.preset = CUSTOM_KEY_PRESET;
+        } else {
+            GLB.keyBindings.setPreset(this.value);
+        }
+        onKeyBindingsChanged();
+    });
 
-const ROTATIONS = [
-    "left", "x-middle", "right",
-    "front", "z-middle", "back",
-    "up", "y-middle", "down"
-];
+    const showKeysButton = document.getElementById("show-keys");
+    showKeysButton.addEventListener("click", function () {
+        const keys = document.getElementById("keys");
+        keys.style.display = keys.style.display === "block" ? "none" : "block";
+    });
 
-const ROTATION_KEYS = [
-    "g", "x", "b",
-    "r", "z", "o",
-    "u", "y", "d"
-];
+    updateKeyBindingsView();
 
-const ROTATE_CLOCKWISE_KEY = "Shift";
+    GLB.events.addListener("solved", () => showBanner(true));
+    GLB.events.addListener("shuffle", () => showBanner(false));
+    GLB.events.addListener("shuffle", () => endLesson());
+    GLB.events.addListener("shuffle", onScrambledForTimer);
+    GLB.events.addListener("solved", onSolvedForTimer);
 
-const ROTATION_TIME_MS = 300;
+    const handler = ClickAndDragHandler(GLB.canvasElm, onMouse, { onPinch });
+    handler.attach();
 
-const START_ROTATE = 0;
-const DO_ROTATE = 1;
-const END_ROTATE = 2;
+    GLB.canvasElm.addEventListener("wheel", onWheel, { passive: false });
+
+    // Right dragging pans instead of opening a menu.
+    GLB.canvasElm.addEventListener("contextmenu", e => e.preventDefault());
+}
 
 /**
- * Animates the Rubik's Cube if a current rotation is active.
- * Otherwise checks for rotation user input.
+ * Keep the canvas sized to the window.
  */
-function updateRubiksCube(deltaTimeMs) {
-    if (GLB.curRotation !== null) {
-        if (GLB.timeSinceRotationStart === 0) {
-            const [rotation, rotateClockwise] = GLB.curRotation;
-            rotateRubiksCubeSide(rotation, rotateClockwise, 0, START_ROTATE);
+function resizeCanvas() {
+    const size = Math.min(window.innerWidth, window.innerHeight);
 
-            GLB.timeSinceRotationStart += deltaTimeMs;
-            return;
+    gl.canvas.width = size;
+    gl.canvas.height = size;
+    gl.viewport(0, 0, size, size);
+
+    updateProjectionMatrix();
+}
+
+/**
+ * Moves the camera toward where it is zooming or panning to.
+ */
+function updateCamera(deltaTimeMs) {
+    if (!GLB.cameraState.update(deltaTimeMs)) return;
+
+    GLB.world.camera.localTransform = GLB.cameraState.getTransform();
+
+    // The orthographic projection is sized by the distance of the camera.
+    updateProjectionMatrix();
+}
+
+/**
+ * Zooms the camera when the mouse wheel is scrolled over the canvas.
+ */
+function onWheel(e) {
+    e.preventDefault();
+
+    const pixels = e.deltaMode === 1 ? e.deltaY * WHEEL_LINE_HEIGHT : e.deltaY;
+
+    const camera = GLB.cameraState;
+    camera.setDistance(camera.targetDistance * Math.exp(pixels * WHEEL_ZOOM_SPEED));
+}
+
+/**
+ * Pans the camera so the scene follows the pointer from where the pan started.
+ * startPan - the pan of the camera when the pan started.
+ * startPos, pos - Vec2s in clip space.
+ */
+function panCamera(startPan, startPos, pos) {
+    const halfHeight = GLB.cameraState.getViewHalfHeight();
+    const aspect = gl.canvas.width / gl.canvas.height;
+
+    GLB.cameraState.setPan([
+        startPan[0] - ((pos[0] - startPos[0]) * halfHeight * aspect),
+        startPan[1] - ((pos[1] - startPos[1]) * halfHeight)
+    ]);
+}
+
+/**
+ * Updates the projection matrix based on the current canvas dimensions.
+ */
+function updateProjectionMatrix() {
+    let [w, h] = [gl.canvas.width, gl.canvas.height];
+
+    const proj = GLB.cameraState.getProjectionMatrix(w / h);
+
+    // Kept to find what is under the mouse.
+    GLB.projectionMatrix = proj;
+
+    gl.uniformMatrix4fv(gl.program.uProjectionMatrix, false, proj);
+}
+
+// The scramble used for each option in the difficulty select.
+const DIFFICULTIES = {
+    "easy": { type: "n-move", length: 2 },
+    "medium": { type: "n-move", length: 5 },
+    "last-layer": { type: "last-layer" },
+    "cross-solved": { type: "cross-solved" },
+    "hard": { type: "random-state" }
+};
+
+// Number of random moves in a scramble of each size of cube but the 3x3x3.
+const NXN_SCRAMBLE_LENGTHS = { 2: 11, 4: 40, 5: 60, 6: 80, 7: 100 };
+
+/**
+ * Scrambles the cube with the selected difficulty.
+ * Uses the seed typed in if there is one so a scramble can be shared.
+ */
+async function onClickShuffle() {
+    const d = document.getElementById("difficulty").value;
+    let { type, length } = DIFFICULTIES[d];
+
+    // Random states can only be found for the 3x3x3 cube,
+    // other cubes get as many random moves as a competition scramble.
+    const size = GLB.cubeState.size;
+    if (size !== 3 && type !== "n-move") {
+        type = "n-move";
+        length = NXN_SCRAMBLE_LENGTHS[size];
+    }
+
+    const seedInput = document.getElementById("seed");
+    const seed = seedInput.value.trim() || makeSeed();
+
+    document.getElementById("scramble").textContent = "Generating scramble...";
+
+    let scramble;
+    try {
+        scramble = await GLB.solver.scramble(type, { seed, length, size });
+    } catch (e) {
+        document.getElementById("scramble").textContent = "Could not scramble: " + e.message;
+        return;
+    }
+
+    // The scramble is for the cube that was shown when it was asked for.
+    if (GLB.cubeState.size !== size) {
+        document.getElementById("scramble").textContent = "";
+        return;
+    }
+
+    document.getElementById("scramble").textContent =
+        "Scramble (seed " + scramble.seed + "): " + scramble.text;
+
+    const animate = document.getElementById("animate-shuffle").checked;
+
+    shuffleRubiksCube(scramble, animate);
+}
+
+// The solvers only know the 3x3x3 cube.
+const ONLY_3X3_MESSAGE = "Only the 3x3x3 cube can be solved.";
+
+/**
+ * Finds a solution for the cube in a Web Worker and animates it.
+ */
+async function onClickSolve() {
+    if (GLB.isSolving) return;
+
+    const statusElm = document.getElementById("solver-status");
+
+    if (GLB.cubeState.size !== 3) {
+        statusElm.textContent = ONLY_3X3_MESSAGE;
+        return;
+    }
+
+    // Solve the cube as it will be after the queued moves.
+    finishAllRotations();
+    const facelets = GLB.cubeState.getFacelets();
+
+    GLB.isSolving = true;
+    statusElm.textContent = "Solving...";
+
+    let solution;
+    try {
+        solution = await GLB.solver.solve(facelets);
+    } catch (e) {
+        statusElm.textContent = "Could not solve: " + e.message;
+        return;
+    } finally {
+        GLB.isSolving = false;
+    }
+
+    if (solution === null) {
+        statusElm.textContent = "No solution found.";
+        return;
+    }
+
+    // The cube was turned while the solver was running.
+    const isIdle = GLB.curRotation === null && GLB.moveQueue.length === 0;
+    if (!isIdle || GLB.cubeState.getFacelets() !== facelets) {
+        statusElm.textContent = "The cube changed while solving. Try again.";
+        return;
+    }
+
+    const text = solution.join(" ");
+    statusElm.textContent = "Solution (" + solution.length + " moves): " + text;
+
+    GLB.moveQueue.pushAll(parseMoves(text), "solver");
+}
+
+/**
+ * Starts a lesson that solves the cube with the beginner's method.
+ */
+function onClickTeach() {
+    if (GLB.cubeState.size !== 3) {
+        document.getElementById("lesson-step").textContent = ONLY_3X3_MESSAGE;
+        return;
+    }
+
+    // Teach from the cube as it will be after the queued moves.
+    finishAllRotations();
+
+    const cube = cubieCubeFromFacelets(GLB.cubeState.getFacelets());
+    GLB.lesson = Lesson(solveBeginner(cube));
+
+    updateLessonView();
+}
+
+/**
+ * Makes the next move of the lesson.
+ */
+function nextLessonMove() {
+    if (GLB.lesson === null) return;
+
+    const move = GLB.lesson.next();
+    if (move !== null) {
+        GLB.moveQueue.push(move, "lesson");
+        updateLessonView();
+    }
+}
+
+/**
+ * Takes back the last move of the lesson.
+ */
+function previousLessonMove() {
+    if (GLB.lesson === null) return;
+
+    const move = GLB.lesson.previous();
+    if (move !== null) {
+        GLB.moveQueue.push(move, "lesson");
+        updateLessonView();
+    }
+}
+
+/**
+ * Stops the lesson, e.g. when the cube is turned some other way.
+ */
+function endLesson() {
+    if (GLB.lesson === null) return;
+
+    GLB.lesson = null;
+    updateLessonView();
+}
+
+/**
+ * Shows the current step of the lesson and its moves.
+ * The moves already made are grayed out and the next move is highlighted.
+ */
+function updateLessonView() {
+    const stepElm = document.getElementById("lesson-step");
+    const movesElm = document.getElementById("lesson-moves");
+
+    const lesson = GLB.lesson;
+
+    if (lesson === null) {
+        stepElm.textContent = "";
+        movesElm.replaceChildren();
+        return;
+    }
+
+    if (lesson.steps.length === 0) {
+        stepElm.textContent = "The cube is already solved.";
+        movesElm.replaceChildren();
+        return;
+    }
+
+    const stepIndex = lesson.getStepIndex();
+    const step = lesson.steps[stepIndex];
+
+    stepElm.textContent = (stepIndex + 1) + "/" + lesson.steps.length + " " +
+        step.name + ": " + step.reason;
+
+    const moveIndex = lesson.isFinished() ? step.moves.length : lesson.getMoveIndexInStep();
+
+    const items = step.moves.map(function (name, i) {
+        const item = document.createElement("span");
+        item.textContent = name;
+        if (i < moveIndex) item.className = "done";
+        if (i === moveIndex) item.className = "current";
+        return item;
+    });
+
+    movesElm.replaceChildren(...items);
+}
+
+/**
+ * Plays the moves typed in the algorithm input.
+ */
+function onClickPlay() {
+    const text = document.getElementById("algorithm").value;
+    const errorElm = document.getElementById("algorithm-error");
+
+    let moves;
+    try {
+        moves = parseMoves(text, GLB.cubeState.size);
+    } catch (e) {
+        if (e.name !== "NotationError") throw e;
+
+        errorElm.textContent = e.message;
+        return;
+    }
+
+    errorElm.textContent = "";
+    playMoves(moves);
+}
+
+/**
+ * Adds moves to the queue of moves to animate.
+ */
+function playMoves(moves) {
+    GLB.moveQueue.pushAll(moves, "algorithm");
+}
+
+/**
+ * Queues the inverse of the last move made.
+ * The move is found when it is taken from the queue (see shiftMoveQueue),
+ * so moves queued before it are undone first.
+ */
+function undoMove() {
+    GLB.moveQueue.push(null, "undo");
+}
+
+/**
+ * Queues the last move undone.
+ * The move is found when it is taken from the queue (see shiftMoveQueue).
+ */
+function redoMove() {
+    GLB.moveQueue.push(null, "redo");
+}
+
+/**
+ * Removes and returns the next entry of the move queue, or null if it is empty.
+ * Undo and redo are queued without a move and take theirs from the history here,
+ * once the moves queued before them have been made. They are skipped if
+ * there is nothing to undo or redo.
+ */
+function shiftMoveQueue() {
+    for (;;) {
+        const entry = GLB.moveQueue.shift();
+        if (entry === null || entry.move !== null) return entry;
+
+        const move = entry.source === "undo" ? GLB.history.undo() : GLB.history.redo();
+        if (move !== null) {
+            updateHistoryList();
+            return { move, source: entry.source, onDone: entry.onDone };
+        }
+
+        if (entry.onDone !== null) {
+            entry.onDone();
+        }
+    }
+}
+
+/**
+ * Shows the move history in the page.
+ * Moves that were undone are shown after the moves made.
+ */
+function updateHistoryList() {
+    const list = document.getElementById("history");
+
+    const items = [];
+
+    const addItem = (entry, className) => {
+        const item = document.createElement("li");
+        item.textContent = entry.move.name;
+        item.className = className;
+        items.push(item);
+    };
+
+    for (const entry of GLB.history.done) {
+        addItem(entry, entry.source === "shuffle" ? "shuffle" : "");
+    }
+    for (let i = GLB.history.undone.length - 1; i >= 0; --i) {
+        addItem(GLB.history.undone[i], "undone");
+    }
+
+    list.replaceChildren(...items);
+
+    if (GLB.history.done.length > 0) {
+        items[GLB.history.done.length - 1].scrollIntoView({ block: "nearest" });
+    }
+}
+
+/**
+ * Gets the timer ready to time a solve of a new scramble.
+ */
+function onScrambledForTimer(scramble) {
+    GLB.timerScramble = scramble.text;
+    GLB.timerMoves = [];
+    GLB.timer.scrambled(performance.now());
+    updateTimerDisplay();
+}
+
+/**
+ * Stops the timer and records the time when the cube is solved.
+ */
+function onSolvedForTimer() {
+    const result = GLB.timer.stop(performance.now());
+    if (result !== null) {
+        addTimerResult(result);
+    }
+}
+
+/**
+ * Adds a finished solve to the session.
+ */
+function addTimerResult(result) {
+    const solve = GLB.session.add({
+        date: Date.now(),
+        timeMs: result.timeMs,
+        penalty: result.penalty,
+        scramble: GLB.timerScramble,
+        moves: GLB.timerMoves,
+        puzzleSize: GLB.cubeState.size
+    });
+    keepNewSolves([solve]);
+    saveCurrentGame();
+
+    updateTimerDisplay();
+    updateSessionView();
+}
+
+/**
+ * Loads the solves kept from earlier visits into the session.
+ */
+async function loadSolves() {
+    if (GLB.store === null) return;
+
+    try {
+        GLB.session.load(await GLB.store.getAll());
+    } catch (e) {
+        document.getElementById("stats-status").textContent =
+            "Could not load solves: " + e.message;
+    }
+
+    updateSessionView();
+}
+
+/**
+ * Saves a change to the kept solves.
+ * Does nothing if IndexedDB is not available.
+ * change - called with the SolveStore, returns a promise.
+ * Returns a promise that resolves when the change is done or has failed.
+ */
+function saveSolves(change) {
+    if (GLB.store === null) return Promise.resolve();
+
+    return change(GLB.store).catch(function (e) {
+        document.getElementById("stats-status").textContent =
+            "Could not save solves: " + e.message;
+    });
+}
+
+/**
+ * Adds solves to the kept solves. They can not be changed or removed
+ * until the store has given them their ids (see updateSessionView).
+ */
+function keepNewSolves(solves) {
+    if (GLB.store === null) return;
+
+    for (const solve of solves) {
+        GLB.savingSolves.add(solve);
+    }
+
+    saveSolves(store => store.addAll(solves)).then(function () {
+        for (const solve of solves) {
+            GLB.savingSolves.delete(solve);
+        }
+        updateSessionView();
+    });
+}
+
+/**
+ * Returns localStorage, or null if it is not available
+ * (reading it throws when storage is blocked).
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Saves the cube, its orientation, its history and the timer to localStorage.
+ * Nothing is saved while a solve is being replayed since the cube then shows the replay.
+ */
+function saveCurrentGame() {
+    if (GLB.storage === null || GLB.replay !== null) return;
+
+    const now = performance.now();
+
+    saveGame(GLB.storage, {
+        size: GLB.cubeState.size,
+        cube: GLB.cubeState.orientations,
+        orientation: Array.from(GLB.rubiksCube.localTransform),
+        history: GLB.history.toData(),
+        moveCount: GLB.moveCount,
+        timer: GLB.timer.toData(now),
+        timerScramble: GLB.timerScramble,
+        timerMoves: GLB.timerMoves,
+        scrambleText: document.getElementById("scramble").textContent
+    });
+}
+
+/**
+ * Puts back the game saved in localStorage, if any.
+ * A saved game that does not fit this cube is thrown away.
+ */
+function restoreGame() {
+    if (GLB.storage === null) return;
+
+    const saved = loadGame(GLB.storage);
+    if (saved === null) return;
+
+    const { game, elapsedMs } = saved;
+
+    if (!isCubeSize(game.size)) {
+        clearSavedGame(GLB.storage);
+        return;
+    }
+
+    const cubeState = CubeState(game.size);
+    const history = MoveHistory();
+    const timer = SolveTimer();
+
+    try {
+        cubeState.setOrientations(game.cube);
+        history.setData(game.history, cubeState.size);
+        timer.setData(game.timer, performance.now(), elapsedMs);
+
+        if (!Array.isArray(game.orientation) || game.orientation.length !== 16 ||
+            !game.orientation.every(Number.isFinite)) {
+            throw new Error("Invalid argument.");
+        }
+    } catch (e) {
+        clearSavedGame(GLB.storage);
+        return;
+    }
+
+    GLB.cubeState = cubeState;
+    buildCubelets();
+    document.getElementById("cube-size").value = String(cubeState.size);
+    stopCubeMotion();
+    GLB.rubiksCube.localTransform = Mat4.clone(game.orientation);
+
+    GLB.history = history;
+    updateHistoryList();
+
+    GLB.timer = timer;
+    GLB.timerScramble = typeof game.timerScramble === "string" ? game.timerScramble : null;
+    GLB.timerMoves = Array.isArray(game.timerMoves) ? game.timerMoves : [];
+    document.getElementById("inspection").checked = timer.useInspection;
+    updateTimerDisplay();
+
+    GLB.moveCount = Number(game.moveCount) || 0;
+    GLB.isSolved = cubeState.isSolved();
+    updateSessionView();
+
+    if (typeof game.scrambleText === "string") {
+        document.getElementById("scramble").textContent = game.scrambleText;
+    }
+}
+
+/**
+ * Throws away the saved game and starts over with a solved cube
+ * in the default orientation.
+ */
+function onClickNewCube() {
+    endLesson();
+    resetRubiksCube();
+
+    stopCubeMotion();
+    GLB.rubiksCube.localTransform = Mat4.clone(GLB.defaultCubeTransform);
+
+    GLB.timer.reset();
+    GLB.timerScramble = null;
+    GLB.timerMoves = [];
+    GLB.moveCount = 0;
+    updateTimerDisplay();
+
+    document.getElementById("scramble").textContent = "";
+    showBanner(false);
+
+    if (GLB.storage !== null) {
+        clearSavedGame(GLB.storage);
+    }
+}
+
+/**
+ * Sets up the cube from the setup, state and alg parameters of the page's link.
+ * The parameters are then removed from the address bar so
+ * reloading the page goes back to the saved game.
+ */
+function applySharedLink() {
+    const share = parseShareQuery(window.location.search);
+    if (share === null) return;
+
+    const statusElm = document.getElementById("share-status");
+
+    const size = share.size === null ? 3 : Number(share.size);
+    if (!isCubeSize(size)) {
+        statusElm.textContent = "Could not open the link: there is no cube of size " + share.size + ".";
+        return;
+    }
+
+    let cubeState = CubeState(size);
+    if (share.state !== null) {
+        try {
+            if (size === 3) {
+                cubeState = faceletsToCubeState(share.state);
+            } else {
+                cubeState.setFacelets(share.state);
+            }
+        } catch (e) {
+            // Only errors for a state that is not a cube of this size are expected.
+            const isBadState = size === 3 ?
+                e.name === "FaceletError" :
+                e.message === "Invalid argument.";
+            if (!isBadState) throw e;
+
+            statusElm.textContent = "Could not open the link: " +
+                (size === 3 ? e.message : "the state is not a cube of this size.");
+            return;
+        }
+    }
+
+    let setup = [];
+    if (share.setup !== null) {
+        try {
+            setup = parseMoves(share.setup, size);
+        } catch (e) {
+            if (e.name !== "NotationError") throw e;
+
+            statusElm.textContent = "Could not open the link: " + e.message;
+            return;
+        }
+    }
+
+    if (size !== GLB.cubeState.size) {
+        setCubeSize(size);
+    }
+
+    endLesson();
+    resetRubiksCube();
+
+    GLB.cubeState.orientations = cubeState.orientations;
+    updateCubeletTransforms();
+
+    for (const move of setup) {
+        applyMoveInstantly(move);
+        GLB.history.push(move, "shuffle");
+    }
+    updateHistoryList();
+
+    GLB.isSolved = GLB.cubeState.isSolved();
+    GLB.moveCount = 0;
+
+    if (share.setup !== null) {
+        document.getElementById("scramble").textContent = "Setup from link: " + share.setup;
+    }
+
+    // Only a setup from solved is a scramble that can be timed and replayed.
+    if (share.state === null) {
+        GLB.events.emit("shuffle", { text: share.setup, seed: null });
+    } else {
+        GLB.timer.reset();
+        updateTimerDisplay();
+        showBanner(false);
+    }
+
+    if (share.alg !== null) {
+        document.getElementById("algorithm").value = share.alg;
+        statusElm.textContent = "Press Play to play the algorithm from the link.";
+    }
+
+    if (window.history && window.history.replaceState) {
+        window.history.replaceState(null, "", removeShareQuery(window.location.href));
+    }
+
+    saveCurrentGame();
+}
+
+/**
+ * Makes a link that opens the page with the cube as it is
+ * and the algorithm typed in the algorithm input.
+ */
+function onClickShare() {
+    const alg = document.getElementById("algorithm").value.trim();
+    const state = GLB.cubeState.isSolved() ? null : GLB.cubeState.getFacelets();
+
+    const size = GLB.cubeState.size === 3 ? null : GLB.cubeState.size;
+
+    const url = makeShareUrl(removeShareQuery(window.location.href), { size, state, alg });
+
+    const urlElm = document.getElementById("share-url");
+    const statusElm = document.getElementById("share-status");
+    urlElm.value = url;
+    urlElm.select();
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(url).then(
+            () => { statusElm.textContent = "Link copied."; },
+            () => { statusElm.textContent = "Copy the link above."; });
+    } else {
+        statusElm.textContent = "Copy the link above.";
+    }
+}
+
+/**
+ * Sets the cube to the facelet string typed in the facelets input.
+ * Positions that can not be reached by turning a cube are rejected.
+ */
+function onClickImportFacelets() {
+    const text = document.getElementById("facelets").value;
+    const errorElm = document.getElementById("facelets-error");
+
+    let cubeState;
+    try {
+        cubeState = faceletsToCubeState(text);
+    } catch (e) {
+        if (e.name !== "FaceletError") throw e;
+
+        errorElm.textContent = e.message;
+        return;
+    }
+
+    errorElm.textContent = "";
+
+    // Facelet strings are always of a 3x3x3 cube.
+    if (GLB.cubeState.size !== 3) {
+        setCubeSize(3);
+    }
+
+    endLesson();
+    resetRubiksCube();
+
+    GLB.cubeState.orientations = cubeState.orientations;
+    updateCubeletTransforms();
+
+    GLB.isSolved = GLB.cubeState.isSolved();
+    GLB.moveCount = 0;
+
+    // The timer has no scramble to time.
+    GLB.timer.reset();
+    updateTimerDisplay();
+    showBanner(false);
+    document.getElementById("scramble").textContent = "";
+
+    saveCurrentGame();
+}
+
+/**
+ * Downloads the solves as a csTimer export.
+ */
+function exportSolves() {
+    const text = JSON.stringify(toCsTimer(GLB.session.results));
+    const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "cube-solves.json";
+    link.click();
+
+    // Revoking the URL right away can cancel the download.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Adds the solves from a csTimer export file.
+ * Solves that are already in the session are skipped.
+ */
+async function importSolves(file) {
+    const statusElm = document.getElementById("stats-status");
+
+    let solves;
+    try {
+        solves = fromCsTimer(JSON.parse(await file.text()));
+    } catch (e) {
+        statusElm.textContent = "Could not import " + file.name + ": " + e.message;
+        return;
+    }
+
+    // csTimer keeps dates to the second and times to the millisecond.
+    const toSeconds = date => Math.floor(date / 1000);
+    const isSame = (a, b) => toSeconds(a.date) === toSeconds(b.date) &&
+        Math.round(a.timeMs) === Math.round(b.timeMs);
+    const newSolves = solves.filter(s => !GLB.session.results.some(r => isSame(r, s)));
+
+    GLB.session.load(GLB.session.results.concat(newSolves));
+    keepNewSolves(newSolves);
+
+    statusElm.textContent = "Imported " + newSolves.length + " solves.";
+    updateSessionView();
+}
+
+/**
+ * Shows the inspection countdown or the time of the solve.
+ */
+function updateTimerDisplay() {
+    const timer = GLB.timer;
+    const now = performance.now();
+
+    let text;
+    if (timer.state === "inspecting") {
+        const left = timer.getInspectionLeft(now);
+        text = left > 0 ? String(Math.ceil(left / 1000)) : PLUS_TWO;
+    } else if (timer.state === "stopped") {
+        text = formatResult({ timeMs: timer.getTime(now), penalty: timer.penalty });
+    } else {
+        text = formatTime(timer.getTime(now));
+    }
+
+    const timerElm = document.getElementById("timer");
+    if (timerElm.textContent !== text) {
+        timerElm.textContent = text;
+    }
+}
+
+/**
+ * Shows the session's statistics and the list of times.
+ * Each time has buttons to give it a +2 or DNF or to remove it.
+ */
+function updateSessionView() {
+    const stats = GLB.session.getStats(GLB.cubeState.size);
+
+    document.getElementById("stat-count").textContent = String(stats.count);
+    document.getElementById("stat-best").textContent = formatTime(stats.best);
+    document.getElementById("stat-mean").textContent = formatTime(stats.mean);
+    document.getElementById("stat-ao5").textContent = formatTime(stats.ao5);
+    document.getElementById("stat-ao12").textContent = formatTime(stats.ao12);
+
+    const makeButton = (text, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.addEventListener("click", function () {
+            onClick();
+            updateSessionView();
+        });
+        return button;
+    };
+
+    const items = GLB.session.results.map(function (result, i) {
+        const item = document.createElement("li");
+
+        const time = document.createElement("span");
+        time.textContent = formatResult(result);
+        time.title = result.scramble === null ? "" : result.scramble;
+
+        // Solves the store could not add have no id and are only in the session.
+        const changeButtons = [
+            makeButton(PLUS_TWO, function () {
+                const solve = GLB.session.togglePenalty(i, PLUS_TWO);
+                if (!isUdf(solve.id)) saveSolves(store => store.update(solve));
+            }),
+            makeButton(DNF, function () {
+                const solve = GLB.session.togglePenalty(i, DNF);
+                if (!isUdf(solve.id)) saveSolves(store => store.update(solve));
+            }),
+            makeButton("x", function () {
+                const solve = GLB.session.remove(i);
+                if (!isUdf(solve.id)) saveSolves(store => store.remove(solve.id));
+            })
+        ];
+
+        // Changes wait for the store to give the solve its id.
+        for (const button of changeButtons) {
+            button.disabled = GLB.savingSolves.has(result);
+        }
+
+        item.replaceChildren(time, ...changeButtons);
+
+        // Only solves of this puzzle with their moves can be replayed.
+        if (result.moves.length > 0 && result.puzzleSize === GLB.cubeState.size) {
+            item.appendChild(makeButton("Replay", () => startReplay(result)));
+        }
+
+        return item;
+    });
+
+    document.getElementById("times").replaceChildren(...items);
+
+    updateStatsView();
+}
+
+const HISTOGRAM_BINS = 20;
+
+/**
+ * Shows personal bests, a histogram of times
+ * and a graph of times and rolling averages of the solves of this size of cube.
+ * Only drawn while the stats view is open.
+ */
+function updateStatsView() {
+    if (document.getElementById("stats").style.display !== "block") return;
+
+    const solves = GLB.session.getResults(GLB.cubeState.size);
+
+    const bests = getPersonalBests(solves);
+    document.getElementById("pb-single").textContent = formatTime(bests.single);
+    document.getElementById("pb-ao5").textContent = formatTime(bests.ao5);
+    document.getElementById("pb-ao12").textContent = formatTime(bests.ao12);
+
+    drawHistogram(document.getElementById("histogram"), getHistogram(solves, HISTOGRAM_BINS));
+
+    const times = solves.map(getResultTime);
+    drawTrend(document.getElementById("trend"), [
+        { values: times, color: "#888888" },
+        { values: getRollingAverages(times, 5), color: "#BA0C2F" },
+        { values: getRollingAverages(times, 12), color: "#003DA5" }
+    ]);
+}
+
+/**
+ * Shows or hides the banner displayed when the cube is solved.
+ */
+function showBanner(show) {
+    const banner = document.getElementById("banner");
+    banner.style.display = show ? "block" : "none";
+}
+
+// Modifiers to hold while dragging the cube, by platform. Ctrl + click is a
+// right click on macOS, and Alt + drag moves the window on many Linux desktops.
+// A mode is only used if the modifiers held are not those of a mode with more
+// modifiers, so Ctrl + Shift on Linux snaps without locking the axis.
+const DRAG_MODIFIERS = {
+    apple: { rotateZ: ["Meta"], lockAxis: ["Shift"], lockStep: ["Alt"] },
+    windows: { rotateZ: ["Control"], lockAxis: ["Shift"], lockStep: ["Alt"] },
+    other: { rotateZ: ["Control"], lockAxis: ["Shift"], lockStep: ["Control", "Shift"] }
+}[getPlatform(navigator)];
+
+const Z_ROTATE_SPEED = 3;
+const STEP_SIZE = 20;
+
+// Radius of the arcball in clip space.
+const ARCBALL_RADIUS = 0.6;
+
+// The cube keeps spinning if it was still moving this recently when let go.
+const SPIN_RELEASE_MS = 80;
+// Fraction of the spin speed kept after each millisecond.
+const SPIN_DAMPING = 0.997;
+// Spins slower than this (in degrees per millisecond) stop.
+const MIN_SPIN_SPEED = 0.005;
+
+const SNAP_ORIENTATION_MS = 250;
+
+/**
+ * Returns which drag modes (see DRAG_MODIFIERS) are on
+ * for the modifiers held, as { rotateZ, lockAxis, lockStep }.
+ * modifiers - { Control, Alt, Shift, Meta } as from getEventModifiers.
+ */
+function getDragModes(modifiers) {
+    const isHeld = mode => DRAG_MODIFIERS[mode].every(m => modifiers[m]);
+    const isPartOf = (mode, other) => DRAG_MODIFIERS[other].length > DRAG_MODIFIERS[mode].length &&
+        DRAG_MODIFIERS[mode].every(m => DRAG_MODIFIERS[other].includes(m));
+
+    const modes = Object.keys(DRAG_MODIFIERS);
+    const dragModes = {};
+    for (const mode of modes) {
+        dragModes[mode] = isHeld(mode) &&
+            !modes.some(other => isPartOf(mode, other) && isHeld(other));
+    }
+    return dragModes;
+}
+
+/**
+ * Handles rotating the Rubik's cube when clicking and dragging with the mouse
+ * or a finger, or turning a layer when a sticker is dragged.
+ */
+function onMouse(e, state, self) {
+    function updateTransform() {
+        const { rotateZ, lockAxis, lockStep } = getDragModes(self.modifiers);
+
+        const applyStep = (x) => Math.floor(x / STEP_SIZE) * STEP_SIZE;
+
+        let rot;
+        if (rotateZ) {
+            // TODO: (Maybe?) center mousePos on view space cube center.
+
+            const [x, y] = self.mousePos;
+            const curAngle = Math.atan2(y, x);
+
+            let angle = radiansToDegrees((curAngle - self.startAngle) * Z_ROTATE_SPEED);
+
+            if (lockStep) {
+                angle = applyStep(angle);
+            }
+
+            rot = angleAxisToMat4(angle, [0, 0, 1]);
+        } else {
+            let mousePos = self.mousePos;
+
+            if (lockAxis) {
+                // Only the larger of the horizontal and vertical movement is used.
+                const [x, y] = Vec2.subtract(Vec2.create(), mousePos, self.startMousePos);
+                mousePos = Math.abs(x) >= Math.abs(y) ?
+                    [mousePos[0], self.startMousePos[1]] :
+                    [self.startMousePos[0], mousePos[1]];
+            }
+
+            let q = getArcballRotation(
+                getArcballPoint(self.startMousePos, ARCBALL_RADIUS),
+                getArcballPoint(mousePos, ARCBALL_RADIUS)
+            );
+
+            if (lockStep) {
+                const axis = Vec3.create();
+                const angle = radiansToDegrees(Quat.getAxisAngle(axis, q));
+                q = angleAxisToQuat(applyStep(angle), axis);
+            }
+
+            rot = Mat4.fromQuat(Mat4.create(), q);
+        }
+
+        // Rotate in view space.
+        GLB.rubiksCube.localTransform = Mat4.multiply(
+            Mat4.create(),
+            rot,
+            self.startTransform
+        );
+
+        trackSpin(self);
+    }
+
+    // Saving to self so updateTransform has access to
+    // last captured mouse position when called in a listener.
+    self.mousePos = windowToClipSpace(
+        e.offsetX, e.offsetY, this.width, this.height);
+    // The pointer event knows the modifiers even if the page missed their keys,
+    // e.g. when they were pressed before the page got focus.
+    self.modifiers = getEventModifiers(e);
+
+    if (state === "enter") {
+        const clickedLeftMouseButton = e.button === 0;
+
+        self.sticker = null;
+        self.panStart = null;
+
+        if (!clickedLeftMouseButton && GLB.allowPan) {
+            self.panStart = { pan: GLB.cameraState.targetPan, mousePos: self.mousePos };
+            return true; // enters drag
+        }
+
+        if (clickedLeftMouseButton) {
+            stopCubeMotion();
+
+            self.sticker = canDragLayer() ? pickSticker(self.mousePos) : null;
+            if (self.sticker !== null) {
+                return true; // enters drag
+            }
+
+            self.startMousePos = self.mousePos;
+            self.startTransform = GLB.rubiksCube.transform;
+
+            const [x, y] = self.startMousePos;
+            self.startAngle = Math.atan2(y, x);
+
+            self.spinVelocity = Vec3.create();
+            self.lastMoveTime = performance.now();
+            self.lastOrientation = getCubeOrientation();
+
+            // Modifiers pressed or released while the pointer is still.
+            const onModifier = (modifier, isDown) => {
+                self.modifiers[modifier] = isDown;
+                updateTransform();
+            };
+            self.removes = Object.keys(self.modifiers).map(modifier =>
+                GLB.keyInput.addListener(modifier, isDown => onModifier(modifier, isDown))
+            );
+
+            return true; // enters drag
+        }
+    } else if (self.panStart !== null) {
+        if (state === "drag") {
+            panCamera(self.panStart.pan, self.panStart.mousePos, self.mousePos);
+        }
+    } else if (self.sticker !== null) {
+        if (state === "drag") {
+            dragSticker(self.sticker, self.mousePos);
+        } else if ((state === "exit" || state === "cancel") && GLB.layerDrag === self.sticker.turn) {
+            // A second finger is not meant to make a move.
+            endLayerDrag(state === "cancel");
+        }
+    } else if (state === "drag") {
+        updateTransform();
+    } else if (state === "exit" || state === "cancel") {
+        for (const remove of self.removes) {
+            remove();
+        }
+
+        const isMoving = performance.now() - self.lastMoveTime < SPIN_RELEASE_MS;
+        if (state === "exit" && isMoving && Vec3.length(self.spinVelocity) >= MIN_SPIN_SPEED) {
+            GLB.spin = self.spinVelocity;
+        } else {
+            saveCurrentGame();
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Returns the orientation of the cube in view space as a Quat.
+ */
+function getCubeOrientation() {
+    const q = Mat4.getRotation(Quat.create(), GLB.rubiksCube.localTransform);
+    return Quat.normalize(q, q);
+}
+
+/**
+ * Sets the orientation of the cube in view space from a Quat.
+ */
+function setCubeOrientation(q) {
+    GLB.rubiksCube.localTransform = Mat4.fromQuat(Mat4.create(), q);
+}
+
+/**
+ * Keeps the speed the cube is being rotated at by dragging,
+ * so it can keep spinning when it is let go.
+ */
+function trackSpin(self) {
+    const now = performance.now();
+    const deltaTimeMs = now - self.lastMoveTime;
+    if (deltaTimeMs <= 0) return;
+
+    const orientation = getCubeOrientation();
+
+    // The rotation since the last move, in view space.
+    const change = Quat.invert(Quat.create(), self.lastOrientation);
+    Quat.multiply(change, orientation, change);
+
+    const axis = Vec3.create();
+    let angle = radiansToDegrees(Quat.getAxisAngle(axis, change));
+    // The shorter way around.
+    if (angle > 180) angle -= 360;
+
+    // Averaged with earlier moves to smooth out uneven pointer events.
+    const velocity = Vec3.scale(axis, axis, angle / deltaTimeMs);
+    Vec3.lerp(self.spinVelocity, self.spinVelocity, velocity, 0.5);
+
+    self.lastMoveTime = now;
+    self.lastOrientation = orientation;
+}
+
+/**
+ * Stops the cube spinning or turning to an orientation.
+ */
+function stopCubeMotion() {
+    GLB.spin = null;
+    GLB.orientationTween = null;
+}
+
+/**
+ * Turns the cube to the nearest orientation that shows it
+ * the same way as the default orientation, with any face in front.
+ */
+function snapCubeOrientation() {
+    stopCubeMotion();
+
+    const current = getCubeOrientation();
+    const home = Mat4.getRotation(Quat.create(), GLB.defaultCubeTransform);
+
+    let nearest = null;
+    let nearestDot = -1;
+
+    for (const m of CUBE_ROTATIONS) {
+        // The cube turned by the rotation, then shown the default way.
+        const q = Mat4.getRotation(Quat.create(), mat3ToMat4(m));
+        Quat.multiply(q, home, q);
+        Quat.normalize(q, q);
+
+        // q and -q are the same orientation.
+        const dot = Math.abs(Quat.dot(q, current));
+        if (dot > nearestDot) {
+            nearest = q;
+            nearestDot = dot;
+        }
+    }
+
+    GLB.orientationTween = { from: current, to: nearest, timeMs: 0 };
+}
+
+// Orientations of the cube for the preset views, as angles in degrees
+// to turn it around the X-axis after turning it around the Y-axis.
+const VIEWS = {
+    "front": [0, 0],
+    "top": [90, 0],
+    // Every edge of the cube is the same length on the screen.
+    "isometric": [radiansToDegrees(Math.atan(Math.SQRT1_2)), -45],
+    // The left, down and back faces hidden in the other views.
+    "back": [-30, 135]
+};
+
+/**
+ * Shows the cube from a preset view, moving the camera back to the center.
+ */
+function showView(name) {
+    stopCubeMotion();
+
+    const [angleX, angleY] = VIEWS[name];
+    const to = Quat.multiply(Quat.create(),
+        angleAxisToQuat(angleX, [1, 0, 0]),
+        angleAxisToQuat(angleY, [0, 1, 0]));
+
+    GLB.orientationTween = { from: getCubeOrientation(), to, timeMs: 0 };
+
+    GLB.cameraState.reset();
+}
+
+/**
+ * Sets what each action that can be bound to a key does (see keyBindings.js).
+ */
+function addKeyBindingHandlers() {
+    const bindings = GLB.keyBindings;
+
+    for (const name of MOVE_ACTIONS) {
+        // Parsed for the size of the cube when the key is pressed.
+        bindings.setHandler(name, function () {
+            GLB.moveQueue.push(parseMoves(name, GLB.cubeState.size)[0], "key");
+        });
+    }
+
+    bindings.setHandler("undo", undoMove);
+    bindings.setHandler("redo", redoMove);
+    bindings.setHandler("hint", showHint);
+
+    for (const view of Object.keys(VIEWS)) {
+        bindings.setHandler("view-" + view, () => showView(view));
+    }
+}
+
+/**
+ * Shows the key of each action in the key settings.
+ */
+function updateKeyBindingsView() {
+    const bindings = GLB.keyBindings;
+
+    document.getElementById("key-preset").value = bindings.preset;
+
+    const makeButton = (text, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.textContent = text;
+        button.addEventListener("click", onClick);
+        return button;
+    };
+
+    const rows = ACTIONS.map(function (action) {
+        const row = document.createElement("tr");
+
+        const name = document.createElement("td");
+        name.textContent = action.name;
+
+        const keys = document.createElement("td");
+        keys.textContent = (bindings.bindings[action.id] || []).join(", ");
+
+        const buttons = document.createElement("td");
+        buttons.replaceChildren(
+            makeButton("Add", () => captureKeyBinding(action)),
+            makeButton("Clear", function () {
+                bindings.clear(action.id);
+                onKeyBindingsChanged();
+            })
+        );
+
+        row.replaceChildren(name, keys, buttons);
+        return row;
+    });
+
+    document.getElementById("key-bindings").replaceChildren(...rows);
+}
+
+/**
+ * Binds the next keys pressed to an action, unless they already do something else.
+ * Escape cancels.
+ */
+function captureKeyBinding(action) {
+    const statusElm = document.getElementById("key-status");
+    statusElm.textContent = "Press the keys for " + action.name + " (Escape to cancel).";
+
+    GLB.keyBindings.onCapture = function (combo) {
+        statusElm.textContent = "";
+        if (combo === "Escape") return;
+
+        const bound = GLB.keyBindings.bind(action.id, combo);
+        if (bound !== null) {
+            const boundName = ACTIONS.find(a => a.id === bound).name;
+            statusElm.textContent = combo + " is already used for " + boundName + ".";
+            return;
+        }
+
+        onKeyBindingsChanged();
+    };
+}
+
+/**
+ * Shows and keeps the key bindings after they are changed.
+ */
+function onKeyBindingsChanged() {
+    updateKeyBindingsView();
+
+    if (GLB.storage !== null) {
+        saveKeyBindings(GLB.storage, GLB.keyBindings.getSettings());
+    }
+}
+
+// Sticks of the standard gamepad layout. The orbit stick rotates the cube around
+// the X and Y axes. Left and right on the twist stick rotate it on the Z-axis
+// and up and down zoom.
+const GAMEPAD_ORBIT_STICK = 0;
+const GAMEPAD_TWIST_STICK = 1;
+
+// How far a trigger must be pressed to do its action.
+const GAMEPAD_BUTTON_THRESHOLD = 0.5;
+
+// Value of the button selects for the button held to turn the other way.
+const GAMEPAD_INVERT = "invert";
+
+// Degrees per millisecond the cube rotates at with a stick pushed all the way.
+const GAMEPAD_ROTATE_SPEED = 0.2;
+// How fast the camera zooms with the twist stick pushed all the way.
+const GAMEPAD_ZOOM_SPEED = 0.002;
+
+/**
+ * Starts reading gamepads, which is done once per frame (see updateGamepad),
+ * and sets up the gamepad settings.
+ */
+function initGamepadInput() {
+    // What each gamepad button does (see gamepadBindings.js).
+    GLB.gamepad = GLB.storage !== null ?
+        loadGamepadSettings(GLB.storage) :
+        makeGamepadSettings();
+
+    GLB.gamepadInput = GamepadInputManager(navigator, {
+        deadZone: GLB.gamepad.deadZone,
+        buttonThreshold: GAMEPAD_BUTTON_THRESHOLD
+    });
+    GLB.gamepadInput.addButtonListener(onGamepadButton);
+
+    // Whether the sticks were rotating the cube in the last frame.
+    GLB.isGamepadTurning = false;
+
+    const deadZoneInput = document.getElementById("gamepad-dead-zone");
+    deadZoneInput.addEventListener("change", function () {
+        const deadZone = Number(this.value);
+        if (isDeadZone(deadZone)) {
+            GLB.gamepad.deadZone = deadZone;
+        }
+        onGamepadSettingsChanged();
+    });
+
+    const showGamepadButton = document.getElementById("show-gamepad");
+    showGamepadButton.addEventListener("click", function () {
+        const gamepad = document.getElementById("gamepad");
+        gamepad.style.display = gamepad.style.display === "block" ? "none" : "block";
+    });
+
+    const resetGamepadButton = document.getElementById("reset-gamepad");
+    resetGamepadButton.addEventListener("click", function () {
+        GLB.gamepad = makeGamepadSettings();
+        onGamepadSettingsChanged();
+    });
+
+    updateGamepadView();
+}
+
+/**
+ * Shows what each gamepad button does in the gamepad settings.
+ */
+function updateGamepadView() {
+    const settings = GLB.gamepad;
+
+    document.getElementById("gamepad-dead-zone").value = String(settings.deadZone);
+
+    const rows = GAMEPAD_BUTTON_NAMES.map(function (buttonName, button) {
+        const row = document.createElement("tr");
+
+        const name = document.createElement("td");
+        name.textContent = buttonName;
+
+        const select = document.createElement("select");
+        const choices = [["", "Nothing"], [GAMEPAD_INVERT, "Hold to turn the other way"]]
+            .concat(ACTIONS.map(a => [a.id, a.name]));
+        select.replaceChildren(...choices.map(function ([value, text]) {
+            const option = document.createElement("option");
+            option.value = value;
+            option.textContent = text;
+            return option;
+        }));
+
+        if (settings.invertButton === button) {
+            select.value = GAMEPAD_INVERT;
+        } else {
+            select.value = button in settings.buttons ? settings.buttons[button] : "";
+        }
+
+        select.addEventListener("change", function () {
+            setGamepadButton(button, this.value);
+            onGamepadSettingsChanged();
+        });
+
+        const action = document.createElement("td");
+        action.appendChild(select);
+
+        row.replaceChildren(name, action);
+        return row;
+    });
+
+    document.getElementById("gamepad-buttons").replaceChildren(...rows);
+}
+
+/**
+ * Sets what a gamepad button does.
+ * choice - an action id, GAMEPAD_INVERT or "" for nothing.
+ * Only one button can be held to turn the other way.
+ */
+function setGamepadButton(button, choice) {
+    const settings = GLB.gamepad;
+
+    delete settings.buttons[button];
+    if (settings.invertButton === button) {
+        settings.invertButton = null;
+    }
+
+    if (choice === GAMEPAD_INVERT) {
+        settings.invertButton = button;
+    } else if (choice !== "") {
+        settings.buttons[button] = choice;
+    }
+}
+
+/**
+ * Uses, shows and keeps the gamepad settings after they are changed.
+ */
+function onGamepadSettingsChanged() {
+    GLB.gamepadInput.deadZone = GLB.gamepad.deadZone;
+    updateGamepadView();
+
+    if (GLB.storage !== null) {
+        saveGamepadSettings(GLB.storage, GLB.gamepad);
+    }
+}
+
+/**
+ * Does the move or action of a gamepad button when it is pressed.
+ */
+function onGamepadButton(button, isDown) {
+    if (!isDown || !(button in GLB.gamepad.buttons)) return;
+
+    const action = GLB.gamepad.buttons[button];
+
+    if (MOVE_ACTIONS.includes(action)) {
+        const move = parseMoves(action, GLB.cubeState.size)[0];
+        const invertButton = GLB.gamepad.invertButton;
+        const isInverted = invertButton !== null && GLB.gamepadInput.isButtonDown(invertButton);
+
+        GLB.moveQueue.push(isInverted ? invertMove(move) : move, "gamepad");
+    } else if (action in GLB.keyBindings.handlers) {
+        GLB.keyBindings.handlers[action]();
+    }
+}
+
+/**
+ * Reads the gamepads, rotating the cube and zooming with the sticks.
+ */
+function updateGamepad(deltaTimeMs) {
+    GLB.gamepadInput.update();
+
+    const [orbitX, orbitY] = GLB.gamepadInput.getStick(GAMEPAD_ORBIT_STICK);
+    const [twist, zoom] = GLB.gamepadInput.getStick(GAMEPAD_TWIST_STICK);
+
+    if (zoom !== 0) {
+        // Pulling the stick down moves the camera away.
+        const camera = GLB.cameraState;
+        camera.setDistance(camera.targetDistance * Math.exp(zoom * GAMEPAD_ZOOM_SPEED * deltaTimeMs));
+    }
+
+    // Rotates in view space the way the stick is pushed (stick y is down).
+    const velocity = Vec3.fromValues(orbitY, orbitX, -twist);
+    const speed = Vec3.length(velocity);
+
+    if (speed === 0) {
+        if (GLB.isGamepadTurning) {
+            GLB.isGamepadTurning = false;
+            saveCurrentGame();
+        }
+        return;
+    }
+
+    stopCubeMotion();
+    GLB.isGamepadTurning = true;
+
+    const q = angleAxisToQuat(Math.min(speed, 1) * GAMEPAD_ROTATE_SPEED * deltaTimeMs, velocity);
+    setCubeOrientation(Quat.multiply(q, q, getCubeOrientation()));
+}
+
+/**
+ * Spins the cube after it is let go, or turns it to the orientation it is snapping to.
+ */
+function updateCubeMotion(deltaTimeMs) {
+    if (GLB.spin !== null) {
+        const speed = Vec3.length(GLB.spin);
+
+        const q = angleAxisToQuat(speed * deltaTimeMs, GLB.spin);
+        setCubeOrientation(Quat.multiply(q, q, getCubeOrientation()));
+
+        Vec3.scale(GLB.spin, GLB.spin, Math.pow(SPIN_DAMPING, deltaTimeMs));
+
+        if (Vec3.length(GLB.spin) < MIN_SPIN_SPEED) {
+            GLB.spin = null;
+            saveCurrentGame();
+        }
+    }
+
+    const tween = GLB.orientationTween;
+    if (tween !== null) {
+        tween.timeMs += deltaTimeMs;
+        const t = Math.min(tween.timeMs / SNAP_ORIENTATION_MS, 1);
+
+        // Eases in and out.
+        const eased = t * t * (3 - (2 * t));
+        setCubeOrientation(Quat.slerp(Quat.create(), tween.from, tween.to, eased));
+
+        if (t === 1) {
+            GLB.orientationTween = null;
+            saveCurrentGame();
+        }
+    }
+}
+
+/**
+ * Runs all tasks for a single frame.
+ */
+function runFrame() {
+    // Get time since last frame (in milliseconds).
+    let deltaTimeMs;
+    {
+        const time = performance.now();
+
+        if (GLB.lastFrameTime === null) {
+            GLB.lastFrameTime = time;
+        }
+
+        deltaTimeMs = time - GLB.lastFrameTime;
+
+        GLB.lastFrameTime = time;
+    }
+
+    updateGamepad(deltaTimeMs);
+    updateRubiksCube(deltaTimeMs);
+    updateCubeMotion(deltaTimeMs);
+    updateCamera(deltaTimeMs);
+
+    // Inspection can run out without a turn.
+    const result = GLB.timer.update(performance.now());
+    if (result !== null) {
+        addTimerResult(result);
+    }
+    updateTimerDisplay();
+
+    render();
+
+    window.requestAnimationFrame(runFrame);
+}
+
+const HIGHLIGHT_OPACITY = 0.35;
+const HIGHLIGHT_PULSE = 0.15;
+const HIGHLIGHT_PULSE_MS = 150;
+
+/**
+ * Render the scene.
+ */
+function render() {
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    gl.uniform4fv(gl.program.uLight, [0, 0, 10, 1]);
+    gl.uniform1f(gl.program.uLightIntensity, 4);
+    
+    gl.uniformMatrix4fv(gl.program.uCameraMatrix, false, GLB.world.camera.transform);
+
+    const drawModel = function (obj) {
+        gl.uniformMatrix4fv(gl.program.uModelMatrix, false, obj.transform);
+
+        const model = obj.model;
+
+        if (obj.stickerColors) {
+            gl.uniform3fv(gl.program.uStickerColors, obj.stickerColors);
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+
+        gl.bindVertexArray(model.vao);
+        gl.drawElements(model.mode, model.count, gl.UNSIGNED_SHORT, 0);
+    }
+
+    const draw = function (obj) {
+        if (obj.type === "model") {
+            drawModel(obj);
+        }
+
+        for (const child of obj.children) {
+            draw(child);
+        }
+    }
+
+    draw(GLB.world);
+
+    // Draw the cubelets of a hinted move again,
+    // blending a pulsing highlight over them.
+    if (GLB.hint !== null) {
+        const pulse = Math.sin(performance.now() / HIGHLIGHT_PULSE_MS);
+        gl.uniform1f(gl.program.uHighlight, HIGHLIGHT_OPACITY + (HIGHLIGHT_PULSE * pulse));
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthFunc(gl.LEQUAL);
+
+        for (const cublet of GLB.hint.cubelets) {
+            if (cublet.type === "model") {
+                drawModel(cublet);
+            }
+        }
+
+        gl.uniform1f(gl.program.uHighlight, 0);
+        gl.disable(gl.BLEND);
+        gl.depthFunc(gl.LESS);
+    }
+
+    // Cleanup
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindVertexArray(null);
+}
+
+const START_ROTATE = 0;
+const DO_ROTATE = 1;
+const END_ROTATE = 2;
+
+/**
+ * Animates the Rubik's Cube if a current rotation is active.
+ * Otherwise starts the next queued move.
+ */
+function updateRubiksCube(deltaTimeMs) {
+    if (GLB.replay !== null) {
+        updateReplay(deltaTimeMs);
+        return;
+    }
+
+    if (GLB.curRotation !== null) {
+        const move = GLB.curRotation.move;
+
+        if (GLB.timeSinceRotationStart === 0) {
+            rotateRubiksCubeSide(move, 0, START_ROTATE);
+            onRotationStart(GLB.curRotation);
+
+            GLB.timeSinceRotationStart += deltaTimeMs;
+            return;
         }
 
         GLB.timeSinceRotationStart += deltaTimeMs;
-        let interpolation = GLB.timeSinceRotationStart / ROTATION_TIME_MS;
+        let interpolation = GLB.timeSinceRotationStart / GLB.curRotationTime;
 
         let reset = false;
         if (interpolation > 1.0) {
@@ -589,81 +2499,304 @@ function updateRubiksCube(deltaTimeMs) {
             reset = true;
         }
 
-        const [rotation, rotateClockwise] = GLB.curRotation;
-        rotateRubiksCubeSide(rotation, rotateClockwise, interpolation, reset ? END_ROTATE : DO_ROTATE);
+        rotateRubiksCubeSide(move, interpolation, reset ? END_ROTATE : DO_ROTATE);
 
         if (reset === true) {
+            const entry = GLB.curRotation;
+
             GLB.curRotation = null;
             GLB.timeSinceRotationStart = null;
+
+            onRotationEnd(entry);
         }
         return;
     }
 
-    const input = getUserInputForRotatingRubiksCube(deltaTimeMs);
-    if (input !== null) {
-        GLB.curRotation = input;
+    // Queued moves wait for a layer being dragged to be let go.
+    if (GLB.layerDrag !== null) return;
+
+    const entry = shiftMoveQueue();
+    if (entry !== null) {
+        GLB.curRotation = entry;
+        GLB.curRotationTime = GLB.moveQueue.getRotationTime();
         GLB.timeSinceRotationStart = 0;
     }
 }
 
 /**
- * Checks if any of the rotation keys have been pressed.
- * Returns a selected rotation and true if clockwise.
+ * Replays a solve on the cube from its scramble.
+ * Moves queued while replaying are dropped when the replay stops.
  */
-function getUserInputForRotatingRubiksCube(deltaTimeMs) {
-    if (GLB.rotationCountDown > 0) GLB.rotationCountDown -= deltaTimeMs;
-    if (GLB.rotationCountDown > 0) return null;
+function startReplay(solve) {
+    const statusElm = document.getElementById("replay-status");
 
-    const i = ROTATION_KEYS.findIndex(
-        (keyName) => GLB.keyInput.isKeyDown(keyName) ||
-            GLB.keyInput.isKeyDown(keyName.toUpperCase()));
-    
-    // User didn't enter input for any side.
-    if (i === -1) return null;
+    let scramble;
+    try {
+        scramble = parseMoves(solve.scramble || "", GLB.cubeState.size);
+    } catch (e) {
+        if (e.name !== "NotationError") throw e;
 
-    // Reset countdown to 0.2 seconds.
-    GLB.rotationCountDown = 200;
+        statusElm.textContent = "Can not replay the scramble: " + e.message;
+        return;
+    }
 
-    const isShiftDown = GLB.keyInput.isKeyDown(ROTATE_CLOCKWISE_KEY);
+    endLesson();
+    resetRubiksCube();
+    GLB.timer.reset();
 
-    const selectedRotation = ROTATIONS[i];
-    
-    return [selectedRotation, isShiftDown];
+    for (const move of scramble) {
+        applyMoveInstantly(move);
+    }
+
+    const player = ReplayPlayer(solve.moves, { size: GLB.cubeState.size });
+    player.speed = Number(document.getElementById("replay-speed").value);
+    player.play();
+
+    GLB.replay = { player, applied: 0, rotating: null };
+
+    document.getElementById("replay-scrub").max = String(player.duration);
+    document.getElementById("replay").style.display = "block";
+    statusElm.textContent = "Replaying " + formatResult(solve);
+
+    updateReplayView();
+}
+
+/**
+ * Stops replaying and leaves the cube where the replay was.
+ */
+function stopReplay() {
+    const replay = GLB.replay;
+    if (replay === null) return;
+
+    if (replay.rotating !== null) {
+        rotateRubiksCubeSide(replay.player.moves[replay.rotating].move, 1, END_ROTATE);
+    }
+
+    GLB.replay = null;
+    GLB.moveQueue.clear();
+    GLB.isSolved = GLB.cubeState.isSolved();
+
+    document.getElementById("replay").style.display = "none";
+}
+
+/**
+ * Moves the replay forward by the time since the last frame.
+ */
+function updateReplay(deltaTimeMs) {
+    GLB.replay.player.update(deltaTimeMs);
+
+    showReplayPosition();
+    updateReplayView();
+}
+
+/**
+ * Brings the cube to where the replay is.
+ * The move turning at the replay's time is animated with the same
+ * start, do and end rotation states as live play.
+ */
+function showReplayPosition() {
+    const replay = GLB.replay;
+    const moves = replay.player.moves;
+    const { completed, current } = replay.player.getPosition();
+
+    // Finish the move that was turning if it is no longer turning.
+    if (replay.rotating !== null && (current === null || current.index !== replay.rotating)) {
+        rotateRubiksCubeSide(moves[replay.rotating].move, 1, END_ROTATE);
+
+        replay.applied = replay.rotating + 1;
+        replay.rotating = null;
+    }
+
+    // Make or take back the moves that were scrubbed past.
+    while (replay.applied < completed) {
+        applyMoveInstantly(moves[replay.applied].move);
+        ++replay.applied;
+    }
+    while (replay.applied > completed) {
+        --replay.applied;
+        applyMoveInstantly(invertMove(moves[replay.applied].move));
+    }
+
+    if (current !== null) {
+        const move = moves[current.index].move;
+
+        if (replay.rotating === null) {
+            rotateRubiksCubeSide(move, 0, START_ROTATE);
+            replay.rotating = current.index;
+        }
+        rotateRubiksCubeSide(move, current.interpolation, DO_ROTATE);
+    }
+}
+
+/**
+ * Shows the replay's time, moves and whether it is playing.
+ */
+function updateReplayView() {
+    if (GLB.replay === null) return;
+
+    const player = GLB.replay.player;
+    const { completed } = player.getPosition();
+
+    document.getElementById("replay-play").textContent = player.isPlaying ? "Pause" : "Play";
+    document.getElementById("replay-scrub").value = String(player.time);
+    document.getElementById("replay-time").textContent =
+        formatTime(player.time) + " / " + formatTime(player.duration) +
+        " (move " + completed + " / " + player.moves.length + ")";
+}
+
+/**
+ * Called when a queued move starts to animate.
+ * The first turn after a scramble starts the timer.
+ */
+function onRotationStart(entry) {
+    if (entry.source === "shuffle") return;
+
+    // Solves done for the player are not timed.
+    if (entry.source === "solver" || entry.source === "lesson") {
+        if (GLB.timer.state !== "stopped") {
+            GLB.timer.reset();
+        }
+        return;
+    }
+
+    const now = performance.now();
+    GLB.timer.start(now);
+
+    if (GLB.timer.state === "running") {
+        GLB.timerMoves.push({ name: entry.move.name, timeMs: now - GLB.timer.startTime });
+    }
+}
+
+/**
+ * Called after a queued move has finished animating.
+ */
+function onRotationEnd(entry) {
+    if (entry.source !== "undo" && entry.source !== "redo") {
+        GLB.history.push(entry.move, entry.source);
+        updateHistoryList();
+    }
+
+    if (entry.source !== "shuffle") {
+        checkIfSolved();
+    }
+
+    hideHint();
+
+    // The lesson no longer matches the cube.
+    if (entry.source !== "lesson") {
+        endLesson();
+    }
+
+    if (entry.onDone !== null) {
+        entry.onDone();
+    }
+
+    saveCurrentGame();
+}
+
+/**
+ * Immediately finishes the current rotation and
+ * every rotation in the queue.
+ */
+function finishAllRotations() {
+    stopReplay();
+    endLayerDrag(false);
+
+    while (GLB.curRotation !== null || GLB.moveQueue.length > 0) {
+        if (GLB.curRotation === null) {
+            GLB.curRotation = shiftMoveQueue();
+            if (GLB.curRotation === null) break;
+
+            GLB.timeSinceRotationStart = 0;
+        }
+
+        const entry = GLB.curRotation;
+
+        if (GLB.timeSinceRotationStart === 0) {
+            rotateRubiksCubeSide(entry.move, 0, START_ROTATE);
+            onRotationStart(entry);
+        }
+        rotateRubiksCubeSide(entry.move, 1, END_ROTATE);
+
+        GLB.curRotation = null;
+        GLB.timeSinceRotationStart = null;
+
+        onRotationEnd(entry);
+    }
 }
 
 /**
- * Randomly shuffles the Rubik's cube.
+ * Resets the Rubik's cube to solved and applies a scramble to it.
+ * scramble - from generateScramble.
+ * animate - if true the shuffle is queued and animated.
  */
-function shuffleRubiksCube(numShuffles) {
-    for (let i = 0; i < numShuffles; ++i) {
-        const j = Math.floor(Math.random() * ROTATIONS.length);
-        const rotation = ROTATIONS[j];
+function shuffleRubiksCube(scramble, animate) {
+    const moves = parseMoves(scramble.text, GLB.cubeState.size);
+
+    function onShuffled() {
+        GLB.isSolved = GLB.cubeState.isSolved();
+        GLB.moveCount = 0;
+
+        GLB.events.emit("shuffle", scramble);
+    }
+
+    resetRubiksCube();
 
-        const rotateClockwise = Math.random() < 0.5 ? false : true;
+    if (animate === true) {
+        GLB.moveQueue.pushAll(moves, "shuffle", onShuffled);
+    } else {
+        for (const move of moves) {
+            applyMoveInstantly(move);
+            GLB.history.push(move, "shuffle");
+        }
+        updateHistoryList();
 
-        rotateRubiksCubeSide(rotation, rotateClockwise, 0, START_ROTATE);
-        rotateRubiksCubeSide(rotation, rotateClockwise, 1, DO_ROTATE);
-        rotateRubiksCubeSide(rotation, rotateClockwise, 1, END_ROTATE);
+        onShuffled();
+        saveCurrentGame();
     }
 }
 
+/**
+ * Puts the Rubik's cube back to solved and clears its history.
+ */
+function resetRubiksCube() {
+    finishAllRotations();
+
+    GLB.cubeState.reset();
+    updateCubeletTransforms();
+
+    hideHint();
+
+    GLB.history.clear();
+    updateHistoryList();
+
+    GLB.isSolved = true;
+}
+
+/**
+ * Rotates a side of the Rubik's cube without animating it.
+ */
+function applyMoveInstantly(move) {
+    rotateRubiksCubeSide(move, 0, START_ROTATE);
+    rotateRubiksCubeSide(move, 1, DO_ROTATE);
+    rotateRubiksCubeSide(move, 1, END_ROTATE);
+}
+
 /**
  * Rotates a side of the Rubik's cube.
- * rotation - which side to rotate.
- * rotateClockwise - rotates clockwise if true.
+ * move - the move to rotate by (see parseMoves).
  * interpolation - value between 0 and 1 that animates rotation.
  * rotateState - start, do (multiple), and end must be given in order.
  */
-function rotateRubiksCubeSide(rotation, rotateClockwise, interpolation, rotateState) {
-    const [alignmentMatrix, rotationMatrix, indices, newIndices] =
-        getRotationInfo(rotation, rotateClockwise, interpolation);
+function rotateRubiksCubeSide(move, interpolation, rotateState) {
+    const rotationMatrix = getRotationInfo(move, interpolation);
 
     if (rotateState === START_ROTATE) {
-        GLB.cubeletsBeforeRotation = GLB.cubelets.children.slice();
+        const indices = GLB.cubeState.getCubeletsInLayers(move.axis, move.layers);
 
-        GLB.cubletsToRotate = indices.map(i => GLB.cubeletsBeforeRotation[i]);
+        GLB.cubletsToRotate = indices.map(i => GLB.cubeletNodes[i]);
 
-        GLB.temp.localTransform = alignmentMatrix;
+        GLB.temp.localTransform = identityMat4();
 
         for (const cublet of GLB.cubletsToRotate) {
             switchParentKeepTransform(cublet, GLB.cubelets, GLB.temp);
@@ -672,169 +2805,379 @@ function rotateRubiksCubeSide(rotation, rotateClockwise, interpolation, rotateSt
     }
     
     if (rotateState === DO_ROTATE || rotateState === END_ROTATE) {
-        GLB.temp.localTransform = alignmentMatrix;
-        multiplyMat4(GLB.temp.localTransform, rotationMatrix);
+        GLB.temp.localTransform = rotationMatrix;
     }
 
     if (rotateState === END_ROTATE) {
         for (const cublet of GLB.cubletsToRotate) {
-            switchParentKeepTransform(cublet, GLB.temp, GLB.cubelets, true);
+            switchParentKeepTransform(cublet, GLB.temp, GLB.cubelets);
         }
 
         GLB.temp.localTransform = identityMat4();
-        GLB.temp.setChildren([]);
 
-        const newCubelets = GLB.cubeletsBeforeRotation;
-        GLB.cubeletsBeforeRotation = null;
-        const temp = newCubelets.slice();
+        // Snap the cubelets to where the cube state says they are.
+        GLB.cubeState.applyMove(move);
+        updateCubeletTransforms();
+
+        GLB.cubletsToRotate = null;
+    }
+}
+
+/**
+ * Emits "solved" when the last rotation solved the cube.
+ * Works for any orientation of the whole cube.
+ */
+function checkIfSolved() {
+    ++GLB.moveCount;
+
+    const isSolved = GLB.cubeState.isSolved();
+    if (isSolved && !GLB.isSolved) {
+        GLB.events.emit("solved", GLB.moveCount);
+    }
+
+    GLB.isSolved = isSolved;
+}
+
+const AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+/**
+ * Returns the matrix that animates a move.
+ */
+function getRotationInfo(move, interpolation) {
+    return angleAxisToMat4(move.quarterTurns * 90 * interpolation, AXES[move.axis]);
+}
+
+// Distance the mouse must move over a sticker (in clip space)
+// before the layer it turns is chosen.
+const LAYER_DRAG_THRESHOLD = 0.02;
+
+/**
+ * Handles two fingers on the canvas: twisting them rotates the cube
+ * on the Z-axis, pinching zooms and moving them pans if panning is enabled.
+ */
+function onPinch(e, state, pinch, self) {
+    if (state === "enter") {
+        stopCubeMotion();
+
+        self.startTransform = GLB.rubiksCube.transform;
+        self.startCameraDistance = GLB.cameraState.targetDistance;
+        self.startPan = GLB.cameraState.targetPan;
+        self.startCenter = windowToClipSpace(pinch.center[0], pinch.center[1], this.width, this.height);
+    } else if (state === "pinch") {
+        const rot = angleAxisToMat4(radiansToDegrees(pinch.rotation), [0, 0, 1]);
 
-        for (let i = 0; i < indices.length; ++i) {
-            const curI = indices[i];
-            const newI = newIndices[i];
+        // Rotate in view space.
+        GLB.rubiksCube.localTransform = Mat4.multiply(Mat4.create(), rot, self.startTransform);
+
+        // Spreading the fingers brings the cube closer.
+        GLB.cameraState.setDistance(self.startCameraDistance / pinch.scale);
 
-            newCubelets[newI] = temp[curI];
+        if (GLB.allowPan) {
+            const center = windowToClipSpace(pinch.center[0], pinch.center[1], this.width, this.height);
+            panCamera(self.startPan, self.startCenter, center);
         }
+    } else if (state === "exit") {
+        saveCurrentGame();
+    }
+}
+
+/**
+ * Returns true if a layer can be turned by dragging a sticker,
+ * which waits for other moves to finish.
+ */
+function canDragLayer() {
+    return GLB.replay === null && GLB.curRotation === null && GLB.moveQueue.length === 0;
+}
 
-        GLB.cubelets.setChildren(newCubelets);
+/**
+ * Returns the ray under the mouse in the space of the cube,
+ * where the cubelets are positioned.
+ */
+function getCubeRay(mousePos) {
+    const ray = getPickRay(mousePos, GLB.projectionMatrix, GLB.world.camera.transform);
 
-        GLB.cubletsToRotate = null;
+    return transformRay(ray, Mat4.invert(Mat4.create(), GLB.cubelets.transform));
+}
+
+/**
+ * Returns the sticker under the mouse, or null if there is none.
+ * Returns { mousePos, position, point, normalAxis, turn } where position is
+ * the position of its cubelet in layer indices, point is where it was hit
+ * in the space of the cube and normalAxis is the axis of the face it is on.
+ * turn is the layer drag once the sticker turns a layer.
+ */
+function pickSticker(mousePos) {
+    const ray = getCubeRay(mousePos);
+
+    const half = CUBELET_SIZE / 2;
+    const min = [-half, -half, -half];
+    const max = [half, half, half];
+
+    let nearest = null;
+    for (let i = 0; i < GLB.cubeletNodes.length; ++i) {
+        const cublet = GLB.cubeletNodes[i];
+        if (cublet.type !== "model") continue;
+
+        const toCubelet = Mat4.invert(Mat4.create(), cublet.localTransform);
+        const hit = intersectBox(transformRay(ray, toCubelet), min, max);
+
+        if (hit !== null && (nearest === null || hit.t < nearest.t)) {
+            nearest = { index: i, t: hit.t, normal: hit.normal };
+        }
     }
+    if (nearest === null) return null;
+
+    // The side hit turned with its cubelet (rows of the orientation).
+    const orientation = GLB.cubeState.orientations[nearest.index];
+    const normal = [0, 1, 2].map(r => Vec3.dot(orientation.slice(3 * r, (3 * r) + 3), nearest.normal));
+
+    const normalAxis = normal.findIndex(e => e !== 0);
+    const position = GLB.cubeState.getPosition(nearest.index);
+
+    // Only the outside of the cube has stickers. Inner sides can be seen between cubelets.
+    const outerLayer = normal[normalAxis] > 0 ? GLB.cubeState.size - 1 : 0;
+    if (position[normalAxis] !== outerLayer) return null;
+
+    return { mousePos, position, point: getRayPoint(ray, nearest.t), normalAxis, turn: null };
+}
+
+/**
+ * Returns how far a point in the space of the cube moves on the screen
+ * (in clip space) for each unit it moves in a direction.
+ */
+function getScreenDirection(point, direction) {
+    const toClip = Mat4.invert(Mat4.create(), GLB.world.camera.transform);
+    Mat4.multiply(toClip, GLB.projectionMatrix, toClip);
+    Mat4.multiply(toClip, toClip, GLB.cubelets.transform);
+
+    const step = 0.01;
+    const moved = Vec3.scaleAndAdd(Vec3.create(), point, direction, step);
+
+    const from = Vec3.transformMat4(Vec3.create(), point, toClip);
+    const to = Vec3.transformMat4(Vec3.create(), moved, toClip);
+
+    return Vec2.fromValues((to[0] - from[0]) / step, (to[1] - from[1]) / step);
 }
 
-// Relative to the coordinate space not relative to the center of the cube.
-const ROTATION_MAPPINGS_CLOCKWISE = [
-    [2, 0], [2, 1], [2, 2],
-    [1, 0], [1, 1], [1, 2],
-    [0, 0], [0, 1], [0, 2]
-];
+/**
+ * Turns the layer of a dragged sticker with the mouse.
+ * The layer is chosen by the direction the sticker is first dragged.
+ */
+function dragSticker(sticker, mousePos) {
+    if (sticker.turn !== null && GLB.layerDrag !== sticker.turn) {
+        // The turn was ended by something else, e.g. a new scramble.
+        return;
+    }
+
+    const drag = Vec2.subtract(Vec2.create(), mousePos, sticker.mousePos);
 
-// Relative to the coordinate space not relative to the center of the cube.
-const ROTATION_MAPPINGS_COUNTER_CLOCKWISE = [
-    [0, 2], [0, 1], [0, 0],
-    [1, 2], [1, 1], [1, 0],
-    [2, 2], [2, 1], [2, 0]
-];
+    if (sticker.turn === null) {
+        if (Vec2.length(drag) < LAYER_DRAG_THRESHOLD) return;
 
-function getRotationInfo(rotation, rotateClockwise, interpolation) {
-    let indicesToRotate, newIndicesAfterRotation, axis;
+        // The axis in the face of the sticker that is closest to the drag on the screen.
+        const alongDrag = function (axis) {
+            const direction = getScreenDirection(sticker.point, AXES[axis]);
+            return Math.abs(Vec2.dot(drag, direction)) / Vec2.length(direction);
+        };
+        const [a, b] = [0, 1, 2].filter(axis => axis !== sticker.normalAxis);
 
-    if (rotation === "left") {
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 2, 0, 0, rotateClockwise);
-        axis = null;
-    } else if (rotation === "x-middle") {
-        rotateClockwise = !rotateClockwise;
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 2, 0, 1, rotateClockwise);
-        axis = null;
-    } else if (rotation === "right") {
-        rotateClockwise = !rotateClockwise;
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 2, 0, 2, rotateClockwise);
-        axis = null;
-    } else if (rotation === "front") {
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 0, 2, 2, rotateClockwise);
-        axis = [0, 1, 0];
-    } else if (rotation === "z-middle") {
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 0, 2, 1, rotateClockwise);
-        axis = [0, 1, 0];
-    } else if (rotation === "back") {
-        rotateClockwise = !rotateClockwise;
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(1, 0, 2, 0, rotateClockwise);
-        axis = [0, 1, 0];
-    } else if (rotation === "up") {
-        rotateClockwise = !rotateClockwise;
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(2, 0, 1, 2, rotateClockwise);
-        axis = [0, 0, 1];
-    } else if (rotation === "y-middle") {
-        rotateClockwise = !rotateClockwise;
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(2, 0, 1, 1, rotateClockwise);
-        axis = [0, 0, 1];
-    } else if (rotation === "down") {
-        [indicesToRotate, newIndicesAfterRotation] = getIndicesOfCubletsToRotate(2, 0, 1, 0, rotateClockwise);
-        axis = [0, 0, 1];
+        sticker.turn = startLayerDrag(sticker, alongDrag(a) >= alongDrag(b) ? a : b);
     }
 
-    const alignmentMatrix = identityMat4();
-    if (axis !== null) {
-        rotateMat4(alignmentMatrix, 90, axis);
+    const turn = sticker.turn;
+
+    // How far the sticker is dragged the way it turns, in the space of the cube.
+    const distance = Vec2.dot(drag, turn.screenTangent) / Vec2.squaredLength(turn.screenTangent);
+    turn.angle = radiansToDegrees(distance / turn.radius);
+
+    rotateRubiksCubeSide(turn.move, turn.angle / 90, DO_ROTATE);
+}
+
+/**
+ * Starts turning the layer of a sticker dragged along an axis.
+ * The layer turns around the axis that is neither the drag axis nor the normal of the sticker.
+ * Returns the layer drag { move, screenTangent, radius, angle } where screenTangent
+ * is the way the sticker moves on the screen in a positive turn (see getScreenDirection),
+ * radius the distance from the sticker to the axis and angle how far the layer
+ * is turned in degrees.
+ */
+function startLayerDrag(sticker, dragAxis) {
+    const axis = 3 - sticker.normalAxis - dragAxis;
+
+    const move = { axis, layers: [sticker.position[axis]], quarterTurns: 1 };
+
+    const radius = Math.abs(sticker.point[sticker.normalAxis]);
+
+    const normal = [0, 0, 0];
+    normal[sticker.normalAxis] = Math.sign(sticker.point[sticker.normalAxis]);
+    const tangent = Vec3.cross(Vec3.create(), AXES[axis], normal);
+
+    rotateRubiksCubeSide(move, 0, START_ROTATE);
+
+    GLB.layerDrag = { move, screenTangent: getScreenDirection(sticker.point, tangent), radius, angle: 0 };
+    return GLB.layerDrag;
+}
+
+/**
+ * Snaps the layer being dragged to the nearest quarter turn and makes the move.
+ * putBack - true to put the layer back without making a move.
+ */
+function endLayerDrag(putBack) {
+    const turn = GLB.layerDrag;
+    if (turn === null) return;
+
+    GLB.layerDrag = null;
+
+    const quarterTurns = putBack ? 0 : Math.round(turn.angle / 90);
+
+    if (quarterTurns % 4 === 0) {
+        // Put the layer back without making a move.
+        rotateRubiksCubeSide(Object.assign({}, turn.move, { quarterTurns: 0 }), 1, END_ROTATE);
+        return;
     }
 
-    const factor = rotateClockwise ? -1 : 1;
-    const rotationMatrix = angleAxisToMat4(factor * 90 * interpolation, [-1, 0, 0]);
+    const move = makeLayerMove(turn.move.axis, turn.move.layers[0], quarterTurns, GLB.cubeState.size);
+    const entry = { move, source: "drag", onDone: null };
 
-    return [alignmentMatrix, rotationMatrix, indicesToRotate, newIndicesAfterRotation];
+    onRotationStart(entry);
+    rotateRubiksCubeSide(move, 1, END_ROTATE);
+    onRotationEnd(entry);
 }
 
-function getIndicesOfCubletsToRotate(axisI, axisJ, lockedAxis, lockedValue, rotateClockwise) {
-    function cubletPositionToIndex(pos) {
-        return (pos[0] * 9) + (pos[1] * 3) + pos[2];
+// Distance from the center of the cube to the hint arrow for a face turn.
+const HINT_ARROW_OFFSET = 0.7;
+// Scale of the hint arrow for a middle slice turn so it goes around the cube.
+const HINT_ARROW_SLICE_SCALE = 2.8;
+
+/**
+ * Finds the next move toward solving the cube in the Web Worker
+ * and highlights the layer it turns without making the move.
+ */
+async function showHint() {
+    if (GLB.isFindingHint) return;
+
+    const statusElm = document.getElementById("hint-status");
+
+    if (GLB.cubeState.size !== 3) {
+        statusElm.textContent = ONLY_3X3_MESSAGE;
+        return;
     }
 
-    rotateClockwise = rotateClockwise === true;
+    // Hint from the cube as it will be after the queued moves.
+    finishAllRotations();
+    const facelets = GLB.cubeState.getFacelets();
 
-    const indices = [];
-    const newIndices = [];
+    if (GLB.cubeState.isSolved()) {
+        statusElm.textContent = "The cube is already solved.";
+        return;
+    }
 
-    for (let i = 0; i < 3; ++i) {
-        for (let j = 0; j < 3; ++j) {
-            const pos = Array(3);
-            pos[axisI] = i;
-            pos[axisJ] = j;
-            pos[lockedAxis] = lockedValue;
+    GLB.isFindingHint = true;
+    statusElm.textContent = "Finding a hint...";
 
-            indices.push(cubletPositionToIndex(pos));
+    let solution;
+    try {
+        solution = await GLB.solver.solve(facelets);
+    } catch (e) {
+        statusElm.textContent = "Could not find a hint: " + e.message;
+        return;
+    } finally {
+        GLB.isFindingHint = false;
+    }
 
-            const mappings = rotateClockwise ?
-                ROTATION_MAPPINGS_CLOCKWISE :
-                ROTATION_MAPPINGS_COUNTER_CLOCKWISE;
-            
-            const newPos = Array(3);
-            const [newI, newJ] = mappings[(j * 3) + i];
-            newPos[axisI] = newI;
-            newPos[axisJ] = newJ;
-            newPos[lockedAxis] = lockedValue;
+    if (solution === null) {
+        statusElm.textContent = "No hint found.";
+        return;
+    }
 
-            newIndices.push(cubletPositionToIndex(newPos));
-        }
+    const isIdle = GLB.curRotation === null && GLB.moveQueue.length === 0;
+    if (!isIdle || GLB.cubeState.getFacelets() !== facelets) {
+        statusElm.textContent = "The cube changed while finding a hint. Try again.";
+        return;
     }
 
-    return [indices, newIndices];
+    const move = parseMoves(solution[0])[0];
+    setHint(move);
+
+    const movesLeft = solution.length === 1 ? "1 move" : solution.length + " moves";
+    statusElm.textContent = "Next move: " + move.name + " (" + movesLeft + " from solved)";
 }
 
 /**
- * Loads a texture from file.
- */
-function getTexture(filename) {
-    return new Promise(function (resolve) {
-        const image = new Image();
-        image.src = filename;
-
-        image.addEventListener("load", function () {
-            const texture = loadTexture(image);
-            resolve(texture);
-        });
-    });
+ * Highlights the cubelets a move turns and shows the arrow for it.
+ */
+function setHint(move) {
+    hideHint();
+
+    const indices = GLB.cubeState.getCubeletsInLayers(move.axis, move.layers);
+
+    GLB.hint = {
+        move,
+        cubelets: indices.map(i => GLB.cubeletNodes[i])
+    };
+
+    GLB.hintArrow.localTransform = getHintArrowTransform(move);
+    GLB.rubiksCube.addChild(GLB.hintArrow);
 }
 
 /**
- * Load a texture onto the GPU.
+ * Removes the hint from the cube, e.g. after the cube is turned.
  */
-function loadTexture(img) {
-    let texture = gl.createTexture();
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+function hideHint() {
+    if (GLB.hint === null) return;
 
-    // Load the image data into the texture
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+    GLB.hint = null;
+    GLB.rubiksCube.removeChild(GLB.hintArrow);
 
-    // Setup options for downsampling and upsampling the image data
-    gl.generateMipmap(gl.TEXTURE_2D);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST_MIPMAP_LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    document.getElementById("hint-status").textContent = "";
+}
+
+/**
+ * Returns the transform that places the hint arrow
+ * on the face a move turns, curving the way it turns.
+ */
+function getHintArrowTransform(move) {
+    const last = GLB.cubeState.size - 1;
+
+    // Outside the turned face, or around the cube for a middle slice.
+    let offset = 0;
+    if (move.layers.includes(last)) {
+        offset = HINT_ARROW_OFFSET;
+    } else if (move.layers.includes(0)) {
+        offset = -HINT_ARROW_OFFSET;
+    }
+
+    const m = translateMat4(identityMat4(), AXES[move.axis].map(x => x * offset));
+
+    // The arrow curves around its z-axis, point it along the move's axis.
+    if (move.axis === X_AXIS) {
+        rotateMat4(m, 90, [0, 1, 0]);
+    } else if (move.axis === Y_AXIS) {
+        rotateMat4(m, -90, [1, 0, 0]);
+    }
+
+    if (offset === 0) {
+        scaleMat4(m, HINT_ARROW_SLICE_SCALE);
+    }
+
+    // The arrow curves counter clockwise, flip it over for clockwise turns.
+    if (move.quarterTurns < 0) {
+        rotateMat4(m, 180, [1, 0, 0]);
+    }
+
+    return m;
+}
+
+/**
+ * Creates a 1x1 white texture for models that are not textured.
+ */
+function createWhiteTexture() {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    const white = new Uint8Array([255, 255, 255, 255]);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, white);
 
-    // Cleanup
     gl.bindTexture(gl.TEXTURE_2D, null);
 
     return texture;
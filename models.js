@@ -1,6 +1,7 @@
 
-import { makeFilledArray, concat, concatSlice, initOptions } from "./utils.js";
+import { makeFilledArray, concat, initOptions } from "./utils.js";
 import { calcNormals } from "./tools.js";
+import { degreesToRadians } from "./linearAlgebraUtils.js";
 
 /**
  * Loads a model into GPU with the coordinates and indices provided.
@@ -12,6 +13,7 @@ function loadModel(gl, coords, indices, options) {
         defaultColor: [1, 1, 1], // White
         texCoords: null,
         normals: null,
+        stickers: null,
         useStrips: false,
         keepCoordsInMemory: false
     };
@@ -53,6 +55,13 @@ function loadModel(gl, coords, indices, options) {
         loadArrayBuffer(gl, texCoords, gl.program.aTexCoord, 2, gl.FLOAT);
     }
 
+    // Load which sticker each vertex belongs to into GPU.
+    let stickers = options.stickers;
+    if (stickers !== null) {
+        stickers = Float32Array.from(stickers);
+        loadArrayBuffer(gl, stickers, gl.program.aSticker, 1, gl.FLOAT);
+    }
+
     // Load the index data into the GPU.
     indices = Uint16Array.from(indices);
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
@@ -94,140 +103,226 @@ function loadArrayBuffer(gl, data, location, numComponents, componentType) {
     return buf;
 }
 
-function loadModelFromWavefrontOBJ(gl, filename, options) {
-    return fetch(filename)
-        .then((r) => r.text())
-        .then((text) => _loadModelFromWavefrontOBJ(gl, text, options));
-}
-
-function _loadModelFromWavefrontOBJ(gl, text, options) {
+/**
+ * Creates a flat arrow that curves counter clockwise around the z-axis
+ * when seen from +z. Both sides of the arrow are visible.
+ * options
+ *   .radius     distance from the z-axis to the middle of the arrow.
+ *   .width      width of the arrow's body.
+ *   .headWidth  width of the base of the arrow's head.
+ *   .sweep      angle in degrees the arrow curves through (head included).
+ *   .headSweep  angle in degrees taken up by the arrow's head.
+ *   .segments   number of quads the body is made of.
+ *   .color      color of the arrow.
+ */
+function makeArrowModel(gl, options) {
     const DEFAULTS = {
-        colors: null,
-        unpackColors: false
+        radius: 0.35,
+        width: 0.06,
+        headWidth: 0.16,
+        sweep: 270,
+        headSweep: 35,
+        segments: 24,
+        color: [1, 0.85, 0]
     };
     options = initOptions(options, DEFAULTS);
 
-    const unpackColors = options.unpackColors === true;
+    const { radius, width, headWidth, segments } = options;
+    const sweep = degreesToRadians(options.sweep);
+    const headSweep = degreesToRadians(options.headSweep);
 
-    const lines = parseText(text);
+    const point = (r, angle) => [r * Math.cos(angle), r * Math.sin(angle), 0];
 
-    const packedPositions = [];
-    const packedNormals = [];
-    const packedTexCoords = [];
+    // Vertices of the front side.
+    const front = [];
+    const frontIndices = [];
 
-    const positions = [];
-    const normals = [];
-    const texCoords = [];
+    const bodySweep = sweep - headSweep;
+    for (let i = 0; i <= segments; ++i) {
+        const angle = (i / segments) * bodySweep;
 
-    let colors;
-    if (unpackColors) {
-        colors = [];
-    } else if (options.colors !== null) {
-        colors = options.colors;
-    } else {
-        colors = null;
+        concat(front, point(radius - (width / 2), angle));
+        concat(front, point(radius + (width / 2), angle));
+
+        if (i > 0) {
+            const [inner, outer] = [(i - 1) * 2, ((i - 1) * 2) + 1];
+            concat(frontIndices, [inner, outer, outer + 2, inner, outer + 2, inner + 2]);
+        }
     }
 
-    const vertexMappings = [];
-    const indices = []; // relative to vertex mappings
+    const headStart = front.length / 3;
+    concat(front, point(radius - (headWidth / 2), bodySweep));
+    concat(front, point(radius + (headWidth / 2), bodySweep));
+    concat(front, point(radius, sweep));
+    concat(frontIndices, [headStart, headStart + 1, headStart + 2]);
 
-    const stringsToFloats = a => a.map(s => Number(s));
+    // The back side is the front side facing the other way.
+    const numVertices = front.length / 3;
 
-    // Load data from each line.
-    for (const tokens of lines) {
-        const firstToken = tokens.shift();
+    const coords = front.concat(front);
 
-        if (firstToken === "v") { // position
-            if (tokens.length !== 3) {
-                throw new Error("Invalid length.");
-            }
+    const indices = frontIndices.slice();
+    for (let i = 0; i < frontIndices.length; i += 3) {
+        const [a, b, c] = frontIndices.slice(i, i + 3).map(x => x + numVertices);
+        concat(indices, [a, c, b]);
+    }
 
-            concat(packedPositions, stringsToFloats(tokens));
-        } else if (firstToken === "vt") { // texture coords
-            if (tokens.length !== 2) {
-                throw new Error("Invalid length.");
-            }
+    const normals = makeFilledArray(numVertices, [0, 0, 1])
+        .concat(makeFilledArray(numVertices, [0, 0, -1]))
+        .flat();
 
-            concat(packedTexCoords, stringsToFloats(tokens));
-        } else if (firstToken === "vn") { // normals
-            if (tokens.length !== 3) {
-                throw new Error("Invalid length.");
-            }
-            
-            concat(packedNormals, stringsToFloats(tokens));
-        } else if (firstToken === "f") {
-            if (tokens.length !== 3) {
-                throw new Error("Invalid length.");
-            }
-            
-            for (const mapping of tokens) {
-                let i = vertexMappings.indexOf(mapping);
-                if (i === -1) {
-                    vertexMappings.push(mapping);
-                    i = vertexMappings.length - 1;
-                }
-
-                indices.push(i);
-            }
-        } else if (firstToken === "mtllib") {
-            // pass
-        } else if (firstToken === "usemtl") {
-            // pass
-        } else if (firstToken === "o") {
-            // pass
-        } else if (firstToken === "s") {
-            // pass
-        } else {
-            throw new Error("Invalid token: " + firstToken);
+    const colors = makeFilledArray(numVertices * 2, options.color).flat();
+    const texCoords = makeFilledArray(numVertices * 2, [0, 0]).flat();
+
+    return loadModel(gl, coords, indices, { normals, colors, texCoords });
+}
+
+// Sticker attribute of the body of a cubelet.
+const BODY_STICKER = 7;
+
+/**
+ * Creates a cubelet: a cube with rounded edges and
+ * a sticker with rounded corners on each face, centered at the origin.
+ * The stickers are numbered 1 to 6 in the sticker attribute
+ * for the +x, -x, +y, -y, +z and -z faces and the body is 7
+ * so each cubelet can color them differently with the same model.
+ * options
+ *   .size            width of the cubelet.
+ *   .bevel           radius of the rounded edges and corners.
+ *   .bevelSegments   number of quads across a rounded edge.
+ *   .stickerInset    distance from the sticker to the edge of its face.
+ *   .stickerRadius   radius of the sticker's corners.
+ *   .stickerSegments number of segments in a corner of a sticker.
+ *   .stickerOffset   height of the stickers above the faces.
+ */
+function makeCubieModel(gl, options) {
+    const DEFAULTS = {
+        size: 0.4,
+        bevel: 0.03,
+        bevelSegments: 3,
+        stickerInset: 0.03,
+        stickerRadius: 0.04,
+        stickerSegments: 4,
+        stickerOffset: 0.004
+    };
+    options = initOptions(options, DEFAULTS);
+
+    const half = options.size / 2;
+    const bevel = Math.min(options.bevel, half);
+    const bevelSegments = options.bevelSegments;
+
+    const coords = [];
+    const normals = [];
+    const stickers = [];
+    const indices = [];
+
+    // Corners of the inner box the rounded surface is around.
+    const inner = half - bevel;
+    const clampInner = p => p.map(e => Math.min(Math.max(e, -inner), inner));
+
+    const addVertex = function (position, normal, sticker) {
+        concat(coords, position);
+        concat(normals, normal);
+        stickers.push(sticker);
+        return (coords.length / 3) - 1;
+    };
+
+    // Positions across a face, split up on the rounded edges.
+    let steps = [-half, half];
+    if (bevel > 0) {
+        steps = [];
+        for (let k = 0; k <= bevelSegments; ++k) {
+            steps.push(-half + ((bevel * k) / bevelSegments));
+        }
+        for (let k = 0; k <= bevelSegments; ++k) {
+            steps.push(inner + ((bevel * k) / bevelSegments));
         }
     }
 
-    // Unpack vertex attributes based on the mapping.
-    for (let mapping of vertexMappings) {
-        mapping = mapping.split(/\//);
-        // Each index starts from 1.
-        mapping = mapping.map(x => Number(x) - 1);
+    for (let face = 0; face < 6; ++face) {
+        const axis = Math.floor(face / 2);
+        const sign = face % 2 === 0 ? 1 : -1;
+
+        // u x v points out of the face.
+        const u = (axis + 1) % 3;
+        const v = (axis + 2) % 3;
+
+        const faceNormal = [0, 0, 0];
+        faceNormal[axis] = sign;
+
+        // Points on the face in its own coordinates, seen from outside.
+        const onFace = function (a, b, height) {
+            const p = [0, 0, 0];
+            p[axis] = sign * height;
+            p[u] = a;
+            p[v] = b;
+            return p;
+        };
+
+        // Counter clockwise when seen from outside the face.
+        const addTriangle = function (a, b, c) {
+            if (sign > 0) {
+                concat(indices, [a, b, c]);
+            } else {
+                concat(indices, [a, c, b]);
+            }
+        };
 
-        // Get indexes in mapping.
-        const [posI, texCoordI, normalI] = mapping;
+        // The body's face, rounded where it meets the other faces.
+        const first = coords.length / 3;
+        for (const a of steps) {
+            for (const b of steps) {
+                const p = onFace(a, b, half);
+                const c = clampInner(p);
+                const d = p.map((e, i) => e - c[i]);
+                const length = Math.hypot(...d);
 
-        concatSlice(positions, packedPositions, posI * 3, 3);
-        concatSlice(texCoords, packedTexCoords, texCoordI * 2, 2);
-        concatSlice(normals, packedNormals, normalI * 3, 3);
+                const normal = length > 0 ? d.map(e => e / length) : faceNormal;
+                const position = c.map((e, i) => e + (bevel * normal[i]));
 
-        if (unpackColors) {
-            concatSlice(colors, options.colors, posI * 3, 3);
+                addVertex(position, normal, BODY_STICKER);
+            }
+        }
+
+        const n = steps.length;
+        for (let i = 0; i + 1 < n; ++i) {
+            for (let j = 0; j + 1 < n; ++j) {
+                const k = first + (i * n) + j;
+                addTriangle(k, k + n, k + n + 1);
+                addTriangle(k, k + n + 1, k + 1);
+            }
         }
-    }
 
-    const m = loadModel(gl, positions, indices, { normals, colors, texCoords });
+        // The sticker, a fan around its center.
+        const extent = half - options.stickerInset;
+        const radius = Math.min(options.stickerRadius, extent);
+        const height = half + options.stickerOffset;
+        const sticker = face + 1;
 
-    return m;
-}
+        const center = addVertex(onFace(0, 0, height), faceNormal, sticker);
+        const rim = [];
 
-/**
- * Returns an array of lines with
- * each line being an array of tokens parsed
- * from the text.
- */
-function parseText(text) {
-    const filterEmptyStrings = a => a.filter(x => x.match(/.+/) !== null);
+        for (let quadrant = 0; quadrant < 4; ++quadrant) {
+            const ca = (quadrant === 0 || quadrant === 3 ? 1 : -1) * (extent - radius);
+            const cb = (quadrant < 2 ? 1 : -1) * (extent - radius);
+
+            for (let k = 0; k <= options.stickerSegments; ++k) {
+                const angle = (Math.PI / 2) * (quadrant + (k / options.stickerSegments));
+                const a = ca + (radius * Math.cos(angle));
+                const b = cb + (radius * Math.sin(angle));
+                rim.push(addVertex(onFace(a, b, height), faceNormal, sticker));
+            }
+        }
 
-    let lines;
+        for (let k = 0; k < rim.length; ++k) {
+            addTriangle(center, rim[k], rim[(k + 1) % rim.length]);
+        }
+    }
 
-    // Split into lines
-    lines = text.split(/\n/);
-    lines = filterEmptyStrings(lines);
-    
-    // Split each line into tokens
-    lines = lines.map(line => line.split(/\s/));
-    lines = lines.map(tokens => filterEmptyStrings(tokens));
-    lines = lines.filter(tokens => tokens.length !== 0);
-    
-    // filter comments out
-    lines = lines.filter(tokens => tokens[0] !== "#");
+    // Every vertex is a sticker or the body so its color comes from the sticker colors.
+    const texCoords = makeFilledArray(coords.length / 3, [0, 0]).flat();
 
-    return lines;
+    return loadModel(gl, coords, indices, { normals, texCoords, stickers });
 }
 
-export { loadModelFromWavefrontOBJ };
+export { makeArrowModel, makeCubieModel };
@@ -0,0 +1,78 @@
+
+import { initOptions } from "./utils.js";
+
+/**
+ * A first in first out queue of moves waiting to be animated.
+ * options
+ *   .rotationTimeMs    time to animate a move when the queue is empty.
+ *   .minRotationTimeMs the shortest time to animate a move when speeding up.
+ *   .speedUp           true if moves are animated faster when many are waiting.
+ */
+function MoveQueue(options) {
+    const DEFAULTS = {
+        rotationTimeMs: 300,
+        minRotationTimeMs: 50,
+        speedUp: true
+    };
+    options = initOptions(options, DEFAULTS);
+
+    const obj = {
+        entries: [],
+        speedUp: options.speedUp === true,
+        /**
+         * Adds a move to the end of the queue.
+         * move - the move, or null for one found when it is taken from the queue
+         *        (e.g. the move an undo undoes).
+         * source - what the move came from (e.g. "key", "shuffle").
+         * onDone - optional, called after the move is animated.
+         */
+        push: function (move, source, onDone) {
+            this.entries.push({ move, source, onDone: onDone || null });
+        },
+        /**
+         * Adds moves to the end of the queue.
+         * onDone - optional, called after the last move is animated.
+         */
+        pushAll: function (moves, source, onDone) {
+            if (moves.length === 0 && onDone) {
+                onDone();
+            }
+
+            for (let i = 0; i < moves.length; ++i) {
+                const isLast = i === moves.length - 1;
+                this.push(moves[i], source, isLast ? onDone : null);
+            }
+        },
+        /**
+         * Removes and returns the next entry.
+         * Returns null if the queue is empty.
+         */
+        shift: function () {
+            if (this.entries.length === 0) return null;
+            return this.entries.shift();
+        },
+        clear: function () {
+            this.entries = [];
+        },
+        /**
+         * Returns how long the next move should take to animate.
+         * Moves get faster the more moves are waiting behind them.
+         */
+        getRotationTime: function () {
+            const time = options.rotationTimeMs;
+            if (!this.speedUp) return time;
+
+            return Math.max(time / (1 + this.entries.length), options.minRotationTimeMs);
+        }
+    };
+
+    Object.defineProperty(obj, "length", {
+        get: function () {
+            return this.entries.length;
+        }
+    });
+
+    return obj;
+}
+
+export { MoveQueue };
@@ -0,0 +1,242 @@
+
+import { isUdf } from "./type.js";
+import { X_AXIS, Y_AXIS, Z_AXIS } from "./cubeState.js";
+
+/*
+The axis of each face and the direction of a clockwise turn of it.
+The direction is the number of counter clockwise
+quarter turns around the positive end of the axis.
+*/
+const FACE_TURNS = {
+    "R": [X_AXIS, -1], "L": [X_AXIS, 1],
+    "U": [Y_AXIS, -1], "D": [Y_AXIS, 1],
+    "F": [Z_AXIS, -1], "B": [Z_AXIS, 1]
+};
+
+// Slice moves turn the same way as the face named.
+const SLICE_TURNS = { "M": "L", "E": "D", "S": "F" };
+
+// Whole cube rotations turn the same way as the face named.
+const CUBE_ROTATIONS = { "x": "R", "y": "U", "z": "F" };
+
+// Faces that are on the negative end of their axis.
+const NEGATIVE_FACES = "LDB";
+
+/**
+ * Returns an error for invalid notation.
+ * offset - the index of the character the error was found at.
+ */
+function NotationError(message, offset) {
+    const error = new Error(message + " (at character " + offset + ")");
+    error.name = "NotationError";
+    error.offset = offset;
+    return error;
+}
+
+/**
+ * Parses a sequence of moves in standard notation (e.g. "R U R' U' M2 x' Rw").
+ * Supports face turns (R L U D F B), wide turns (Rw or r),
+ * slice moves (M E S) and whole cube rotations (x y z),
+ * each optionally followed by 2 and/or '.
+ * Face and wide turns can start with a layer number for bigger cubes:
+ * 2R turns only the second layer from R and 3Rw (or 3r) turns three layers.
+ * Throws a NotationError if the notation is invalid.
+ * Returns an array of moves that can be applied to a CubeState.
+ */
+function parseMoves(text, size) {
+    if (isUdf(size)) {
+        size = 3;
+    }
+
+    const moves = [];
+
+    let i = 0;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            ++i;
+            continue;
+        }
+
+        const start = i;
+        let name;
+
+        // Layer number of an inner slice or depth of a wide turn.
+        let depth = null;
+        if (/[1-9]/.test(text[i])) {
+            depth = Number(text[i]);
+            ++i;
+
+            const face = text[i] || "";
+            if (!(face in FACE_TURNS) && !(face.toUpperCase() in FACE_TURNS)) {
+                throw NotationError("Expected a face after the layer number.", i);
+            }
+            if (depth > size) {
+                throw NotationError("Layer " + depth + " is not on a " +
+                    size + "x" + size + "x" + size + " cube.", start);
+            }
+        }
+
+        const c = text[i];
+        if (c in FACE_TURNS) {
+            name = c;
+            ++i;
+            if (text[i] === "w") {
+                name += "w";
+                ++i;
+            }
+        } else if (c.toUpperCase() in FACE_TURNS) {
+            name = c.toUpperCase() + "w";
+            ++i;
+        } else if (c in SLICE_TURNS || c in CUBE_ROTATIONS) {
+            name = c;
+            ++i;
+        } else {
+            throw NotationError("Unexpected character '" + c + "'.", i);
+        }
+
+        let amount = 1;
+        if (/[0-9]/.test(text[i] || "")) {
+            amount = Number(text[i]);
+            if (amount !== 2) {
+                throw NotationError("Invalid amount '" + text[i] + "'.", i);
+            }
+            ++i;
+        }
+
+        let inverse = false;
+        if (text[i] === "'" || text[i] === "’") {
+            inverse = true;
+            ++i;
+        }
+
+        if (i < text.length && !/\s/.test(text[i]) && !isMoveStart(text[i])) {
+            throw NotationError("Unexpected character '" + text[i] + "'.", i);
+        }
+
+        const move = makeMove(name, size, depth);
+        move.quarterTurns *= amount * (inverse ? -1 : 1);
+        move.name = text.substring(start, i);
+        move.offset = start;
+
+        moves.push(move);
+    }
+
+    return moves;
+}
+
+function isMoveStart(c) {
+    return c in FACE_TURNS || c.toUpperCase() in FACE_TURNS ||
+        c in SLICE_TURNS || c in CUBE_ROTATIONS;
+}
+
+/**
+ * Returns a clockwise quarter turn of a face, wide turn,
+ * slice or whole cube rotation given its name.
+ * depth - the layer number before a face or wide turn, or null.
+ */
+function makeMove(name, size, depth) {
+    const range = (a, b) => {
+        const r = [];
+        for (let i = a; i <= b; ++i) r.push(i);
+        return r;
+    };
+
+    const face = name[0];
+    let axis, direction, layers;
+
+    if (face in FACE_TURNS) {
+        [axis, direction] = FACE_TURNS[face];
+
+        // Layers counted from the face, starting at 0.
+        let first = 0;
+        let last = name.endsWith("w") ? 1 : 0;
+        if (depth !== null) {
+            last = depth - 1;
+            // Without w only the numbered layer turns.
+            first = name.endsWith("w") ? 0 : last;
+        }
+        last = Math.min(last, size - 1);
+
+        layers = NEGATIVE_FACES.includes(face) ?
+            range(first, last) :
+            range(size - 1 - last, size - 1 - first);
+    } else if (face in SLICE_TURNS) {
+        [axis, direction] = FACE_TURNS[SLICE_TURNS[face]];
+        layers = range(1, size - 2);
+    } else if (face in CUBE_ROTATIONS) {
+        [axis, direction] = FACE_TURNS[CUBE_ROTATIONS[face]];
+        layers = range(0, size - 1);
+    } else {
+        throw new Error("Invalid argument.");
+    }
+
+    return { name, axis, layers, quarterTurns: direction };
+}
+
+/**
+ * Returns the move that turns a single layer, named in standard notation.
+ * layer - index of the layer along the axis.
+ * quarterTurns - counter clockwise quarter turns around the positive end
+ *                of the axis, not a multiple of 4.
+ * The middle layer of a 3x3x3 cube is a slice move and inner layers
+ * of bigger cubes are numbered from the nearest face (e.g. 2R).
+ */
+function makeLayerMove(axis, layer, quarterTurns, size) {
+    if (!Number.isInteger(layer) || layer < 0 || layer >= size) {
+        throw new Error("Invalid argument.");
+    }
+
+    const [positive, negative] = Object.keys(FACE_TURNS).filter(f => FACE_TURNS[f][0] === axis);
+
+    let name;
+    if (size === 3 && layer === 1) {
+        name = Object.keys(SLICE_TURNS).find(s => FACE_TURNS[SLICE_TURNS[s]][0] === axis);
+    } else if (size - layer <= layer + 1) {
+        name = positive;
+        if (layer !== size - 1) name = (size - layer) + name;
+    } else {
+        name = negative;
+        if (layer !== 0) name = (layer + 1) + name;
+    }
+
+    const turns = ((quarterTurns % 4) + 4) % 4;
+    if (turns === 0) {
+        throw new Error("Invalid argument.");
+    }
+    if (turns === 2) {
+        return parseMoves(name + "2", size)[0];
+    }
+
+    // A clockwise turn is 1 or -1 quarter turns.
+    const move = parseMoves(name, size)[0];
+    return (move.quarterTurns + 4) % 4 === turns ? move : invertMove(move);
+}
+
+/**
+ * Returns the move that undoes a move.
+ */
+function invertMove(move) {
+    // The parser also takes a typographic apostrophe for a prime.
+    let name = move.name.replace(/’/g, "'");
+    if (name.endsWith("'")) {
+        name = name.slice(0, -1);
+    } else {
+        name += "'";
+    }
+
+    return {
+        name,
+        axis: move.axis,
+        layers: move.layers.slice(),
+        quarterTurns: -move.quarterTurns
+    };
+}
+
+/**
+ * Returns a string of moves in standard notation.
+ */
+function movesToString(moves) {
+    return moves.map(m => m.name).join(" ");
+}
+
+export { NotationError, parseMoves, makeLayerMove, invertMove, movesToString };
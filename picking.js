@@ -0,0 +1,98 @@
+
+/*
+Ray picking: finding what is under the mouse in the scene.
+A ray is { origin, direction } with Vec3s. The direction is not normalized
+so a point at a distance t along a ray is the same point after the ray
+is transformed to another space, and distances found in different
+spaces can be compared.
+*/
+
+import { Vec3, Mat4 } from "./linearAlgebraUtils.js";
+
+/**
+ * Returns the ray in world space through a point on the screen.
+ * clipPos - Vec2 in clip coordinates (see windowToClipSpace).
+ * projectionMatrix - the matrix given to uProjectionMatrix.
+ * cameraTransform - the transform of the camera in world space.
+ * The ray starts on the near plane and reaches the far plane at t = 1.
+ */
+function getPickRay(clipPos, projectionMatrix, cameraTransform) {
+    const viewMatrix = Mat4.invert(Mat4.create(), cameraTransform);
+    const viewProjection = Mat4.multiply(Mat4.create(), projectionMatrix, viewMatrix);
+    const inverse = Mat4.invert(Mat4.create(), viewProjection);
+
+    const [x, y] = clipPos;
+    const near = Vec3.transformMat4(Vec3.create(), [x, y, -1], inverse);
+    const far = Vec3.transformMat4(Vec3.create(), [x, y, 1], inverse);
+
+    return { origin: near, direction: Vec3.subtract(far, far, near) };
+}
+
+/**
+ * Returns a ray transformed by a Mat4 (e.g. the inverse of a node's transform).
+ */
+function transformRay(ray, matrix) {
+    const origin = Vec3.transformMat4(Vec3.create(), ray.origin, matrix);
+
+    const end = Vec3.add(Vec3.create(), ray.origin, ray.direction);
+    Vec3.transformMat4(end, end, matrix);
+
+    return { origin, direction: Vec3.subtract(end, end, origin) };
+}
+
+/**
+ * Returns the point at a distance t along a ray.
+ */
+function getRayPoint(ray, t) {
+    return Vec3.scaleAndAdd(Vec3.create(), ray.origin, ray.direction, t);
+}
+
+/**
+ * Returns where a ray first hits an axis aligned box as { t, normal },
+ * where normal is the outward normal of the side hit,
+ * or null if the ray misses the box or starts inside it.
+ * min, max - opposite corners of the box.
+ */
+function intersectBox(ray, min, max) {
+    let tNear = 0;
+    let tFar = Infinity;
+    let nearAxis = -1;
+    let nearSign = 0;
+
+    for (let axis = 0; axis < 3; ++axis) {
+        const o = ray.origin[axis];
+        const d = ray.direction[axis];
+
+        if (d === 0) {
+            if (o < min[axis] || o > max[axis]) return null;
+            continue;
+        }
+
+        let t0 = (min[axis] - o) / d;
+        let t1 = (max[axis] - o) / d;
+        // The ray enters on the side facing it.
+        let sign = -1;
+        if (t0 > t1) {
+            [t0, t1] = [t1, t0];
+            sign = 1;
+        }
+
+        if (t0 > tNear) {
+            tNear = t0;
+            nearAxis = axis;
+            nearSign = sign;
+        }
+        tFar = Math.min(tFar, t1);
+
+        if (tNear > tFar) return null;
+    }
+
+    if (nearAxis === -1) return null;
+
+    const normal = [0, 0, 0];
+    normal[nearAxis] = nearSign;
+
+    return { t: tNear, normal };
+}
+
+export { getPickRay, transformRay, getRayPoint, intersectBox };
@@ -0,0 +1,75 @@
+
+import { isUdf } from "./type.js";
+
+/**
+ * Returns a 32 bit hash of a string.
+ */
+function hashString(str) {
+    let h = 1779033703 ^ str.length;
+
+    for (let i = 0; i < str.length; ++i) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Returns a random seed that can be shared as text.
+ */
+function makeSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36);
+}
+
+/**
+ * A pseudo random number generator (mulberry32)
+ * that always gives the same numbers for the same seed.
+ * seed - a string or number. A random seed is used if not given.
+ */
+function SeededRandom(seed) {
+    if (isUdf(seed)) {
+        seed = makeSeed();
+    }
+
+    let state = hashString(String(seed));
+
+    const obj = {
+        seed: String(seed),
+        /**
+         * Returns a number from 0 (inclusive) to 1 (exclusive).
+         */
+        next: function () {
+            state = (state + 0x6D2B79F5) | 0;
+
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        },
+        /**
+         * Returns an integer from 0 (inclusive) to n (exclusive).
+         */
+        nextInt: function (n) {
+            return Math.floor(this.next() * n);
+        },
+        /**
+         * Shuffles an array in place.
+         */
+        shuffle: function (a) {
+            for (let i = a.length - 1; i > 0; --i) {
+                const j = this.nextInt(i + 1);
+                [a[i], a[j]] = [a[j], a[i]];
+            }
+            return a;
+        }
+    };
+
+    return obj;
+}
+
+export { SeededRandom, makeSeed };
@@ -0,0 +1,114 @@
+
+import { initOptions } from "./utils.js";
+import { parseMoves } from "./notation.js";
+
+/**
+ * Plays back the moves of a recorded solve on a clock that can be
+ * paused, stepped, scrubbed and sped up.
+ * moves - array of { name, timeMs } where timeMs is when the move started.
+ * options
+ *   .rotationTimeMs time to animate a move when the next move is not sooner.
+ *   .size           number of layers of the cube the solve was done on.
+ */
+function ReplayPlayer(moves, options) {
+    const DEFAULTS = {
+        rotationTimeMs: 300,
+        size: 3
+    };
+    options = initOptions(options, DEFAULTS);
+
+    // Each move animates from its start until the next move starts.
+    const timed = moves.map(function (m, i) {
+        const start = m.timeMs;
+        const next = i + 1 < moves.length ? moves[i + 1].timeMs : Infinity;
+
+        return {
+            move: parseMoves(m.name, options.size)[0],
+            start,
+            end: start + Math.max(0, Math.min(options.rotationTimeMs, next - start))
+        };
+    });
+
+    const obj = {
+        moves: timed,
+        duration: timed.length > 0 ? timed[timed.length - 1].end : 0,
+        // Time in the solve being shown.
+        time: 0,
+        speed: 1,
+        isPlaying: false,
+        /**
+         * Moves the clock forward by the time since the last frame.
+         * Stops at the end of the solve.
+         */
+        update: function (deltaTimeMs) {
+            if (!this.isPlaying) return;
+
+            this.seek(this.time + (deltaTimeMs * this.speed));
+
+            if (this.time === this.duration) {
+                this.isPlaying = false;
+            }
+        },
+        play: function () {
+            // Start over when played at the end.
+            if (this.time === this.duration) {
+                this.time = 0;
+            }
+            this.isPlaying = true;
+        },
+        pause: function () {
+            this.isPlaying = false;
+        },
+        seek: function (time) {
+            this.time = Math.min(Math.max(time, 0), this.duration);
+        },
+        /**
+         * Returns where the solve is at the current time:
+         * { completed, current } where completed is the number of moves made
+         * and current is { index, interpolation } of the move turning, or null.
+         */
+        getPosition: function () {
+            let completed = 0;
+            while (completed < this.moves.length && this.moves[completed].end <= this.time) {
+                ++completed;
+            }
+
+            let current = null;
+            if (completed < this.moves.length) {
+                const { start, end } = this.moves[completed];
+                if (this.time > start) {
+                    current = { index: completed, interpolation: (this.time - start) / (end - start) };
+                }
+            }
+
+            return { completed, current };
+        },
+        /**
+         * Pauses and goes to the end of the next move.
+         */
+        stepForward: function () {
+            this.pause();
+
+            const { completed } = this.getPosition();
+            if (completed < this.moves.length) {
+                this.time = this.moves[completed].end;
+            }
+        },
+        /**
+         * Pauses and goes to the start of the last move.
+         */
+        stepBackward: function () {
+            this.pause();
+
+            const { completed, current } = this.getPosition();
+            const index = current === null ? completed - 1 : current.index;
+            if (index >= 0) {
+                this.time = this.moves[index].start;
+            }
+        }
+    };
+
+    return obj;
+}
+
+export { ReplayPlayer };
@@ -0,0 +1,70 @@
+
+/*
+Keeps the game in progress in localStorage so it survives a reload.
+The game is saved as JSON under a single key with a version
+so saves from an older layout can be told apart and thrown away.
+*/
+
+const SAVE_KEY = "rubiks-cube.saved-game";
+const SAVE_VERSION = 1;
+
+/**
+ * Saves the game.
+ * game - plain data that can be written as JSON.
+ * Returns false if the game could not be saved (e.g. storage is full or disabled).
+ */
+function saveGame(storage, game) {
+    const data = { version: SAVE_VERSION, savedAt: Date.now(), game };
+
+    try {
+        storage.setItem(SAVE_KEY, JSON.stringify(data));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Returns { game, elapsedMs } for the saved game, where elapsedMs
+ * is the time since it was saved, or null if there is no saved game.
+ * A save that can not be read is removed.
+ */
+function loadGame(storage) {
+    let text;
+    try {
+        text = storage.getItem(SAVE_KEY);
+    } catch (e) {
+        return null;
+    }
+    if (text === null) return null;
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        data = null;
+    }
+
+    if (data === null || typeof data !== "object" ||
+        data.version !== SAVE_VERSION || typeof data.game !== "object" || data.game === null) {
+        clearSavedGame(storage);
+        return null;
+    }
+
+    const elapsedMs = Math.max(0, Date.now() - (Number(data.savedAt) || 0));
+
+    return { game: data.game, elapsedMs };
+}
+
+/**
+ * Removes the saved game.
+ */
+function clearSavedGame(storage) {
+    try {
+        storage.removeItem(SAVE_KEY);
+    } catch (e) {
+        // Nothing to remove if storage is disabled.
+    }
+}
+
+export { saveGame, loadGame, clearSavedGame };
@@ -0,0 +1,127 @@
+
+import { initOptions } from "./utils.js";
+import { SeededRandom } from "./random.js";
+import { randomCubieCube } from "./cubie.js";
+import { solve } from "./twoPhase.js";
+
+// Positions of the pieces that are scrambled by each type of random state scramble.
+const RANDOM_STATE_PIECES = {
+    "random-state": {
+        corners: [0, 1, 2, 3, 4, 5, 6, 7],
+        edges: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    // Only the U layer.
+    "last-layer": {
+        corners: [0, 1, 2, 3],
+        edges: [0, 1, 2, 3]
+    },
+    // Everything but the D layer edges.
+    "cross-solved": {
+        corners: [0, 1, 2, 3, 4, 5, 6, 7],
+        edges: [0, 1, 2, 3, 8, 9, 10, 11]
+    }
+};
+
+const SCRAMBLE_TYPES = ["random-state", "n-move", "last-layer", "cross-solved"];
+
+const FACE_NAMES = ["U", "R", "F", "D", "L", "B"];
+const MOVE_SUFFIXES = ["", "2", "'"];
+
+/**
+ * Returns the moves that undo a sequence of face turns.
+ */
+function invertMoveNames(names) {
+    return names.slice().reverse().map(function (name) {
+        if (name.endsWith("'")) return name[0];
+        if (name.endsWith("2")) return name;
+        return name + "'";
+    });
+}
+
+/**
+ * Returns random face turns where no face is turned twice in a row
+ * and no axis is turned three times in a row (e.g. R L R).
+ * On cubes bigger than 3x3x3 some of the turns are wide turns
+ * of up to half the cube (e.g. Rw or 3Rw).
+ */
+function randomMoves(rng, length, size) {
+    const maxDepth = Math.max(1, Math.floor(size / 2));
+    const faces = [];
+
+    while (faces.length < length) {
+        const face = rng.nextInt(FACE_NAMES.length);
+        const n = faces.length;
+
+        if (n >= 1 && faces[n - 1] === face) continue;
+
+        const sameAxis = (a, b) => (a % 3) === (b % 3);
+        if (n >= 2 && sameAxis(faces[n - 1], face) && sameAxis(faces[n - 2], face)) continue;
+
+        faces.push(face);
+    }
+
+    return faces.map(function (f) {
+        const depth = size > 3 ? 1 + rng.nextInt(maxDepth) : 1;
+
+        let name = FACE_NAMES[f];
+        if (depth === 2) {
+            name += "w";
+        } else if (depth > 2) {
+            name = depth + name + "w";
+        }
+
+        return name + MOVE_SUFFIXES[rng.nextInt(3)];
+    });
+}
+
+/**
+ * Returns moves that take a solved cube to a random state.
+ * The state is chosen uniformly from the states allowed by the type.
+ */
+function randomStateMoves(rng, type) {
+    let cube;
+    do {
+        cube = randomCubieCube(rng, RANDOM_STATE_PIECES[type]);
+    } while (cube.isSolved());
+
+    return invertMoveNames(solve(cube));
+}
+
+/**
+ * Generates a scramble in WCA notation.
+ * type - one of SCRAMBLE_TYPES:
+ *   "random-state" a uniformly random state.
+ *   "n-move"       a number of random face turns.
+ *   "last-layer"   a random state with only the last layer unsolved.
+ *   "cross-solved" a random state with the D cross solved.
+ * Only "n-move" scrambles can be made for cubes other than the 3x3x3.
+ * options
+ *   .seed   the same seed always gives the same scramble. Random if not given.
+ *   .length number of moves for "n-move" scrambles.
+ *   .size   number of layers of the cube.
+ * Returns { type, seed, text }.
+ */
+function generateScramble(type, options) {
+    const DEFAULTS = {
+        length: 25,
+        size: 3
+    };
+    options = initOptions(options, DEFAULTS);
+
+    const rng = SeededRandom(options.seed);
+
+    let moves;
+    if (type === "n-move") {
+        moves = randomMoves(rng, options.length, options.size);
+    } else if (options.size !== 3) {
+        throw new Error("Random state scrambles are only for the 3x3x3 cube.");
+    } else if (type in RANDOM_STATE_PIECES) {
+        moves = randomStateMoves(rng, type);
+    } else {
+        throw new Error("Invalid scramble type: " + type);
+    }
+
+    return { type, seed: rng.seed, text: moves.join(" ") };
+}
+
+export { SCRAMBLE_TYPES, generateScramble, invertMoveNames };
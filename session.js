@@ -0,0 +1,121 @@
+
+import { formatTime, NO_PENALTY, PLUS_TWO, DNF, PLUS_TWO_MS } from "./timer.js";
+
+/**
+ * Returns the time a result counts as, with its penalty.
+ * A DNF counts as Infinity.
+ */
+function getResultTime(result) {
+    if (result.penalty === DNF) return Infinity;
+    if (result.penalty === PLUS_TWO) return result.timeMs + PLUS_TWO_MS;
+    return result.timeMs;
+}
+
+/**
+ * Formats a result with its penalty (e.g. "12.34", "14.34+", "DNF(12.34)").
+ */
+function formatResult(result) {
+    if (result.penalty === DNF) return DNF + "(" + formatTime(result.timeMs) + ")";
+    if (result.penalty === PLUS_TWO) return formatTime(getResultTime(result)) + "+";
+    return formatTime(result.timeMs);
+}
+
+/**
+ * Returns the WCA average of the last n times:
+ * the best and worst times are dropped and the rest are averaged.
+ * Returns Infinity (DNF) if more than one time is a DNF,
+ * or null if there are fewer than n times.
+ */
+function averageOf(times, n) {
+    if (times.length < n) return null;
+
+    const sorted = times.slice(-n).sort((a, b) => a - b);
+
+    // 5% of the times are dropped from each end, at least one.
+    const trim = Math.ceil(n * 0.05);
+    const counting = sorted.slice(trim, n - trim);
+
+    if (counting.includes(Infinity)) return Infinity;
+
+    return counting.reduce((a, b) => a + b, 0) / counting.length;
+}
+
+/**
+ * The results of the solves timed in a session.
+ */
+function Session() {
+    const obj = {
+        // Solves (see SolveStore), oldest first.
+        results: [],
+        /**
+         * Adds a solve.
+         * solve - { timeMs, penalty } from SolveTimer
+         *         with the scramble, moves, puzzleSize and date of the solve.
+         */
+        add: function (solve) {
+            this.results.push(solve);
+            return solve;
+        },
+        /**
+         * Replaces the results, e.g. with the solves loaded from storage.
+         */
+        load: function (solves) {
+            this.results = solves.slice().sort((a, b) => a.date - b.date);
+        },
+        /**
+         * Removes a result and returns it.
+         */
+        remove: function (index) {
+            return this.results.splice(index, 1)[0];
+        },
+        /**
+         * Sets the penalty of a result and returns the result.
+         * Setting the penalty it has removes it.
+         */
+        togglePenalty: function (index, penalty) {
+            const result = this.results[index];
+            result.penalty = result.penalty === penalty ? NO_PENALTY : penalty;
+            return result;
+        },
+        clear: function () {
+            this.results = [];
+        },
+        /**
+         * Returns the results of solves of one size of cube, oldest first.
+         * puzzleSize - number of layers of the cube.
+         */
+        getResults: function (puzzleSize) {
+            return this.results.filter(r => r.puzzleSize === puzzleSize);
+        },
+        /**
+         * Returns { count, best, mean, ao5, ao12 } in milliseconds
+         * of the solves of one size of cube (see getResults).
+         * The mean leaves out DNFs. Stats that can not be worked out yet are null.
+         */
+        getStats: function (puzzleSize) {
+            const times = this.getResults(puzzleSize).map(getResultTime);
+            const finished = times.filter(t => t !== Infinity);
+
+            let best = null;
+            let mean = null;
+            if (times.length > 0) {
+                best = times.reduce((a, b) => Math.min(a, b));
+            }
+            if (finished.length > 0) {
+                mean = finished.reduce((a, b) => a + b, 0) / finished.length;
+            }
+
+            return {
+                count: times.length,
+                best,
+                mean,
+                ao5: averageOf(times, 5),
+                ao12: averageOf(times, 12)
+            };
+        }
+    };
+
+    return obj;
+}
+
+export { Session, getResultTime, formatResult, averageOf };
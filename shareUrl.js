@@ -0,0 +1,61 @@
+
+/*
+Links that open the page with a position and an algorithm, e.g.
+?setup=R U R'&alg=R U' R'&state=UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB
+size  - number of layers of the cube, 3 if not given.
+setup - moves applied to the cube when the page opens.
+alg   - moves put in the algorithm input, ready to play.
+state - stickers of the cube (see CubeState.getFacelets), applied before setup.
+*/
+
+const SHARE_PARAMS = ["size", "setup", "alg", "state"];
+
+/**
+ * Returns { size, setup, alg, state } from a query string (e.g. location.search).
+ * Parameters that are missing or empty are null.
+ * Returns null if the query has none of them.
+ */
+function parseShareQuery(query) {
+    const params = new URLSearchParams(query);
+
+    const share = {};
+    let hasAny = false;
+
+    for (const name of SHARE_PARAMS) {
+        const value = (params.get(name) || "").trim();
+        share[name] = value === "" ? null : value;
+        hasAny = hasAny || share[name] !== null;
+    }
+
+    return hasAny ? share : null;
+}
+
+/**
+ * Returns a link to the page at url with the share parameters set.
+ * share - { size, setup, alg, state }, null or missing values are left out.
+ * Other parameters of url are kept.
+ */
+function makeShareUrl(url, share) {
+    const result = new URL(url);
+
+    for (const name of SHARE_PARAMS) {
+        const value = share[name];
+
+        if ((typeof value === "string" && value !== "") || typeof value === "number") {
+            result.searchParams.set(name, String(value));
+        } else {
+            result.searchParams.delete(name);
+        }
+    }
+
+    return result.href;
+}
+
+/**
+ * Returns url without the share parameters.
+ */
+function removeShareQuery(url) {
+    return makeShareUrl(url, {});
+}
+
+export { parseShareQuery, makeShareUrl, removeShareQuery };
@@ -0,0 +1,112 @@
+
+const DB_NAME = "rubiks-cube";
+const DB_VERSION = 1;
+const SOLVES = "solves";
+
+/**
+ * Returns a promise for the result of an IndexedDB request.
+ */
+function requestToPromise(request) {
+    return new Promise(function (resolve, reject) {
+        request.addEventListener("success", () => resolve(request.result));
+        request.addEventListener("error", () => reject(request.error));
+    });
+}
+
+/**
+ * Keeps solves in IndexedDB so they are not lost on reload.
+ * A solve is { id, date, timeMs, penalty, scramble, moves, puzzleSize }
+ * where moves is an array of { name, timeMs } and id is given by the store.
+ * Every method returns a promise.
+ * indexedDB - the IndexedDB factory (window.indexedDB).
+ */
+function SolveStore(indexedDB) {
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise === null) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.addEventListener("upgradeneeded", function () {
+                const store = request.result.createObjectStore(
+                    SOLVES, { keyPath: "id", autoIncrement: true });
+                store.createIndex("date", "date");
+            });
+
+            dbPromise = requestToPromise(request);
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Runs requests on the solves object store in one transaction.
+     * makeRequests - called with the object store, returns a request or an array of requests.
+     * Resolves with the result(s) once the transaction is complete.
+     */
+    async function run(mode, makeRequests) {
+        const db = await open();
+        const transaction = db.transaction(SOLVES, mode);
+
+        const requests = makeRequests(transaction.objectStore(SOLVES));
+        const results = Array.isArray(requests) ?
+            Promise.all(requests.map(requestToPromise)) :
+            requestToPromise(requests);
+
+        await new Promise(function (resolve, reject) {
+            transaction.addEventListener("complete", resolve);
+            transaction.addEventListener("error", () => reject(transaction.error));
+            transaction.addEventListener("abort", () => reject(transaction.error));
+        });
+
+        return results;
+    }
+
+    const obj = {
+        /**
+         * Adds a solve and sets its id.
+         */
+        add: async function (solve) {
+            solve.id = await run("readwrite", store => store.add(withoutId(solve)));
+            return solve;
+        },
+        /**
+         * Adds many solves in one transaction and sets their ids.
+         */
+        addAll: async function (solves) {
+            const ids = await run("readwrite",
+                store => solves.map(solve => store.add(withoutId(solve))));
+
+            solves.forEach((solve, i) => { solve.id = ids[i]; });
+            return solves;
+        },
+        /**
+         * Saves the changes to a solve that was added.
+         */
+        update: function (solve) {
+            return run("readwrite", store => store.put(solve));
+        },
+        remove: function (id) {
+            return run("readwrite", store => store.delete(id));
+        },
+        clear: function () {
+            return run("readwrite", store => store.clear());
+        },
+        /**
+         * Returns every solve, oldest first.
+         */
+        getAll: function () {
+            return run("readonly", store => store.index("date").getAll());
+        }
+    };
+
+    return obj;
+}
+
+// The store picks the id of a new solve.
+function withoutId(solve) {
+    const copy = Object.assign({}, solve);
+    delete copy.id;
+    return copy;
+}
+
+export { SolveStore };
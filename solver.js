@@ -0,0 +1,80 @@
+
+const WORKER_URL = "solverWorker.js";
+
+/**
+ * Runs the solver and scrambler in a Web Worker.
+ * The worker, and the lookup tables it builds, are only created
+ * the first time they are needed.
+ */
+function Solver() {
+    let worker = null;
+    let nextId = 0;
+
+    // Callbacks of requests waiting for a reply, by id.
+    const pending = new Map();
+
+    function onMessage(e) {
+        const { id, result, error } = e.data;
+
+        const callbacks = pending.get(id);
+        pending.delete(id);
+
+        if (typeof error === "string") {
+            callbacks.reject(new Error(error));
+        } else {
+            callbacks.resolve(result);
+        }
+    }
+
+    // The worker failed to load, threw or sent a message that could not be read.
+    // Every request waiting fails and the next request starts a new worker.
+    function onError(e) {
+        e.preventDefault();
+
+        worker.terminate();
+        worker = null;
+
+        const error = new Error("The solver stopped working.");
+        for (const callbacks of pending.values()) {
+            callbacks.reject(error);
+        }
+        pending.clear();
+    }
+
+    function request(type, args) {
+        if (worker === null) {
+            worker = new Worker(WORKER_URL, { type: "module" });
+            worker.addEventListener("message", onMessage);
+            worker.addEventListener("error", onError);
+            worker.addEventListener("messageerror", onError);
+        }
+
+        const id = nextId++;
+
+        return new Promise(function (resolve, reject) {
+            pending.set(id, { resolve, reject });
+            worker.postMessage({ id, type, args });
+        });
+    }
+
+    const obj = {
+        /**
+         * Finds a solution of around 20 moves.
+         * facelets - a 54 character facelet string.
+         * Resolves to an array of move names or null.
+         */
+        solve: function (facelets, options) {
+            return request("solve", [facelets, options]);
+        },
+        /**
+         * Generates a scramble (see generateScramble).
+         */
+        scramble: function (type, options) {
+            return request("scramble", [type, options]);
+        }
+    };
+
+    return obj;
+}
+
+export { Solver };
@@ -0,0 +1,32 @@
+
+/*
+Web Worker that runs the two-phase search and scrambler
+so that building the lookup tables and searching never stalls the game loop.
+Messages are { id, type, args } and replies are { id, result } or { id, error }.
+*/
+
+import { solve } from "./twoPhase.js";
+import { cubieCubeFromFacelets } from "./cubie.js";
+import { generateScramble } from "./scrambler.js";
+
+const HANDLERS = {
+    // args: [facelets, options]
+    "solve": (facelets, options) => solve(cubieCubeFromFacelets(facelets), options),
+    // args: [type, options]
+    "scramble": (type, options) => generateScramble(type, options)
+};
+
+self.addEventListener("message", function (e) {
+    const { id, type, args } = e.data;
+
+    try {
+        if (!(type in HANDLERS)) {
+            throw new Error("Invalid message type: " + type);
+        }
+
+        const result = HANDLERS[type](...args);
+        self.postMessage({ id, result });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+});
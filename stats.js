@@ -0,0 +1,54 @@
+
+import { getResultTime, averageOf } from "./session.js";
+
+/**
+ * Returns the averages of n over every window of solves.
+ * The first n - 1 entries are null.
+ * times - times with penalties (see getResultTime).
+ */
+function getRollingAverages(times, n) {
+    return times.map((t, i) => (i + 1 < n ? null : averageOf(times.slice(i + 1 - n, i + 1), n)));
+}
+
+/**
+ * Returns the best single, ao5 and ao12 ever (null if there is none yet).
+ */
+function getPersonalBests(solves) {
+    const times = solves.map(getResultTime);
+
+    const best = (values) => {
+        const finished = values.filter(v => v !== null && v !== Infinity);
+        return finished.length > 0 ? finished.reduce((a, b) => Math.min(a, b)) : null;
+    };
+
+    return {
+        single: best(times),
+        ao5: best(getRollingAverages(times, 5)),
+        ao12: best(getRollingAverages(times, 12))
+    };
+}
+
+/**
+ * Counts the finished times in equal sized bins.
+ * Returns { min, binSize, counts }, or null if there are no finished times.
+ */
+function getHistogram(solves, numBins) {
+    const times = solves.map(getResultTime).filter(t => t !== Infinity);
+    if (times.length === 0) return null;
+
+    const min = times.reduce((a, b) => Math.min(a, b));
+    const max = times.reduce((a, b) => Math.max(a, b));
+
+    // One bin holds every time if they are all the same.
+    const binSize = Math.max((max - min) / numBins, 1);
+
+    const counts = Array(numBins).fill(0);
+    for (const t of times) {
+        const bin = Math.min(Math.floor((t - min) / binSize), numBins - 1);
+        ++counts[bin];
+    }
+
+    return { min, binSize, counts };
+}
+
+export { getRollingAverages, getPersonalBests, getHistogram };
@@ -0,0 +1,200 @@
+
+import { initOptions } from "./utils.js";
+
+const NO_PENALTY = "none";
+const PLUS_TWO = "+2";
+const DNF = "DNF";
+
+const PLUS_TWO_MS = 2000;
+
+/**
+ * Times a solve the way a speedcubing competition does.
+ * After a scramble there is an optional inspection countdown,
+ * the time starts with the first turn and stops when the cube is solved.
+ * options
+ *   .inspectionMs    length of inspection.
+ *   .inspectionDnfMs inspection longer than this is a DNF
+ *                    (longer than inspectionMs is a +2).
+ *   .useInspection   true if there is inspection after a scramble.
+ *
+ * States:
+ * "idle"       not timing (no scramble since the last solve).
+ * "inspecting" counting down inspection, waiting for the first turn.
+ * "ready"      waiting for the first turn without inspection.
+ * "running"    timing the solve.
+ * "stopped"    the solve is over.
+ */
+function SolveTimer(options) {
+    const DEFAULTS = {
+        inspectionMs: 15000,
+        inspectionDnfMs: 17000,
+        useInspection: true
+    };
+    options = initOptions(options, DEFAULTS);
+
+    const obj = {
+        state: "idle",
+        useInspection: options.useInspection === true,
+        inspectionStartTime: null,
+        startTime: null,
+        endTime: null,
+        penalty: NO_PENALTY,
+        /**
+         * Stops timing without a result.
+         */
+        reset: function () {
+            this.state = "idle";
+            this.inspectionStartTime = null;
+            this.startTime = null;
+            this.endTime = null;
+            this.penalty = NO_PENALTY;
+        },
+        /**
+         * Gets ready for a new solve after a scramble.
+         */
+        scrambled: function (now) {
+            this.reset();
+
+            if (this.useInspection) {
+                this.state = "inspecting";
+                this.inspectionStartTime = now;
+            } else {
+                this.state = "ready";
+            }
+        },
+        /**
+         * Starts timing on the first turn of a solve.
+         * Returns true if the timer started.
+         */
+        start: function (now) {
+            if (this.state === "inspecting") {
+                const inspectionTime = now - this.inspectionStartTime;
+
+                if (inspectionTime > options.inspectionDnfMs) {
+                    this.penalty = DNF;
+                } else if (inspectionTime > options.inspectionMs) {
+                    this.penalty = PLUS_TWO;
+                }
+            } else if (this.state !== "ready") {
+                return false;
+            }
+
+            this.state = "running";
+            this.startTime = now;
+            return true;
+        },
+        /**
+         * Stops timing when the cube is solved.
+         * Returns the result { timeMs, penalty }, or null if the timer was not running.
+         */
+        stop: function (now) {
+            if (this.state !== "running") return null;
+
+            this.state = "stopped";
+            this.endTime = now;
+
+            return { timeMs: this.endTime - this.startTime, penalty: this.penalty };
+        },
+        /**
+         * Called every frame.
+         * Ends the solve as a DNF when inspection runs out.
+         * Returns the result if the solve ended, otherwise null.
+         */
+        update: function (now) {
+            if (this.state !== "inspecting") return null;
+            if (now - this.inspectionStartTime <= options.inspectionDnfMs) return null;
+
+            this.state = "stopped";
+            this.penalty = DNF;
+            this.startTime = now;
+            this.endTime = now;
+
+            return { timeMs: 0, penalty: DNF };
+        },
+        /**
+         * Returns the timer as plain data that can be saved as JSON.
+         * Times are kept relative to now since performance.now() starts over on reload.
+         */
+        toData: function (now) {
+            return {
+                state: this.state,
+                penalty: this.penalty,
+                useInspection: this.useInspection,
+                inspectionMs: this.inspectionStartTime === null ? null : now - this.inspectionStartTime,
+                timeMs: this.startTime === null ? null : this.getTime(now)
+            };
+        },
+        /**
+         * Sets the timer from data returned by toData.
+         * elapsedMs - time passed since the data was saved.
+         * Inspection and a running solve carry on as if they were never stopped.
+         */
+        setData: function (data, now, elapsedMs) {
+            const STATES = ["idle", "inspecting", "ready", "running", "stopped"];
+            const PENALTIES = [NO_PENALTY, PLUS_TWO, DNF];
+            if (!STATES.includes(data.state) || !PENALTIES.includes(data.penalty)) {
+                throw new Error("Invalid argument.");
+            }
+
+            // Inspection and a started solve need their times.
+            const isTime = (ms) => Number.isFinite(ms) && ms >= 0;
+            if ((data.state === "inspecting" && !isTime(data.inspectionMs)) ||
+                ((data.state === "running" || data.state === "stopped") && !isTime(data.timeMs))) {
+                throw new Error("Invalid argument.");
+            }
+
+            this.reset();
+            this.state = data.state;
+            this.penalty = data.penalty;
+            this.useInspection = data.useInspection === true;
+
+            if (this.state === "inspecting") {
+                this.inspectionStartTime = now - data.inspectionMs - elapsedMs;
+            } else if (this.state === "running") {
+                this.startTime = now - data.timeMs - elapsedMs;
+            } else if (this.state === "stopped") {
+                this.startTime = now - data.timeMs;
+                this.endTime = now;
+            }
+        },
+        /**
+         * Returns the time of the solve so far.
+         */
+        getTime: function (now) {
+            if (this.state === "running") return now - this.startTime;
+            if (this.state === "stopped") return this.endTime - this.startTime;
+            return 0;
+        },
+        /**
+         * Returns the inspection time left. Negative once inspection has run over.
+         */
+        getInspectionLeft: function (now) {
+            if (this.state !== "inspecting") return options.inspectionMs;
+
+            return options.inspectionMs - (now - this.inspectionStartTime);
+        }
+    };
+
+    return obj;
+}
+
+/**
+ * Formats a time in milliseconds as m:ss.cc or s.cc.
+ * Infinity is a DNF and null is no time.
+ */
+function formatTime(ms) {
+    if (ms === null) return "-";
+    if (ms === Infinity) return DNF;
+
+    const centiseconds = Math.floor(ms / 10);
+    const minutes = Math.floor(centiseconds / 6000);
+    const seconds = Math.floor(centiseconds / 100) % 60;
+    const fraction = String(centiseconds % 100).padStart(2, "0");
+
+    if (minutes > 0) {
+        return minutes + ":" + String(seconds).padStart(2, "0") + "." + fraction;
+    }
+    return seconds + "." + fraction;
+}
+
+export { SolveTimer, formatTime, NO_PENALTY, PLUS_TWO, DNF, PLUS_TWO_MS };
@@ -0,0 +1,414 @@
+
+/*
+Kociemba's two-phase algorithm for solving a 3x3x3 cube in around 20 moves.
+
+Phase 1 brings the cube into the subgroup G1 = <U, D, R2, L2, F2, B2>
+where every corner and edge is oriented and the UD slice edges are in the slice.
+Phase 2 solves the cube using only moves from G1.
+Both phases are iterative deepening searches pruned by lookup tables.
+*/
+
+import { initOptions } from "./utils.js";
+import { CubieCube, MOVE_NAMES } from "./cubie.js";
+
+const NUM_MOVES = 18;
+
+const NUM_TWISTS = 2187; // 3^7
+const NUM_FLIPS = 2048; // 2^11
+const NUM_SLICES = 495; // 12 choose 4
+const NUM_CORNER_PERMS = 40320; // 8!
+const NUM_UD_EDGE_PERMS = 40320; // 8!
+const NUM_SLICE_PERMS = 24; // 4!
+
+// Moves of G1: U, U2, U', R2, F2, D, D2, D', L2, B2.
+const PHASE_2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+// Longest a phase 2 solution ever needs to be.
+const MAX_PHASE_2_LENGTH = 18;
+
+// Lookup tables, created the first time they are needed.
+let tables = null;
+
+function binomial(n, k) {
+    if (k < 0 || k > n) return 0;
+
+    let result = 1;
+    for (let i = 0; i < k; ++i) {
+        result = (result * (n - i)) / (i + 1);
+    }
+    return result;
+}
+
+/*
+Coordinates map a part of the cube's state to an integer.
+*/
+
+function getTwist(c) {
+    let t = 0;
+    for (let i = 0; i < 7; ++i) {
+        t = (t * 3) + c.co[i];
+    }
+    return t;
+}
+
+function setTwist(c, t) {
+    let sum = 0;
+    for (let i = 6; i >= 0; --i) {
+        c.co[i] = t % 3;
+        sum += c.co[i];
+        t = Math.floor(t / 3);
+    }
+    c.co[7] = (3 - (sum % 3)) % 3;
+}
+
+function getFlip(c) {
+    let f = 0;
+    for (let i = 0; i < 11; ++i) {
+        f = (f * 2) + c.eo[i];
+    }
+    return f;
+}
+
+function setFlip(c, f) {
+    let sum = 0;
+    for (let i = 10; i >= 0; --i) {
+        c.eo[i] = f % 2;
+        sum += c.eo[i];
+        f = Math.floor(f / 2);
+    }
+    c.eo[11] = sum % 2;
+}
+
+const isSliceEdge = e => e >= 8;
+
+// The positions of the UD slice edges (FR, FL, BL, BR). 0 when they are in the slice.
+function getSlice(c) {
+    let s = 0;
+    let found = 0;
+    for (let j = 11; j >= 0; --j) {
+        if (isSliceEdge(c.ep[j])) {
+            ++found;
+            s += binomial(11 - j, found);
+        }
+    }
+    return s;
+}
+
+function setSlice(c, s) {
+    const isSlice = Array(12).fill(false);
+
+    for (let found = 4; found >= 1; --found) {
+        let k = found - 1;
+        while (binomial(k + 1, found) <= s) ++k;
+
+        s -= binomial(k, found);
+        isSlice[11 - k] = true;
+    }
+
+    let sliceEdge = 8;
+    let otherEdge = 0;
+    for (let j = 0; j < 12; ++j) {
+        c.ep[j] = isSlice[j] ? sliceEdge++ : otherEdge++;
+    }
+}
+
+// Returns the rank of a permutation (0 if sorted).
+function getPermutation(p) {
+    const n = p.length;
+
+    let rank = 0;
+    for (let i = 0; i < n; ++i) {
+        let smaller = 0;
+        for (let j = i + 1; j < n; ++j) {
+            if (p[j] < p[i]) ++smaller;
+        }
+        rank = (rank * (n - i)) + smaller;
+    }
+    return rank;
+}
+
+// Returns the permutation of the values from offset to offset + n - 1 with a rank.
+function setPermutation(n, rank, offset) {
+    const digits = Array(n);
+    for (let i = n - 1; i >= 0; --i) {
+        digits[i] = rank % (n - i);
+        rank = Math.floor(rank / (n - i));
+    }
+
+    const available = [];
+    for (let i = 0; i < n; ++i) {
+        available.push(i + offset);
+    }
+
+    return digits.map(d => available.splice(d, 1)[0]);
+}
+
+const getCornerPerm = c => getPermutation(c.cp);
+const getUDEdgePerm = c => getPermutation(c.ep.slice(0, 8));
+const getSlicePerm = c => getPermutation(c.ep.slice(8, 12));
+
+function setCornerPerm(c, rank) {
+    c.cp = setPermutation(8, rank, 0);
+}
+
+function setUDEdgePerm(c, rank) {
+    c.ep = setPermutation(8, rank, 0).concat([8, 9, 10, 11]);
+}
+
+function setSlicePerm(c, rank) {
+    c.ep = [0, 1, 2, 3, 4, 5, 6, 7].concat(setPermutation(4, rank, 8));
+}
+
+/**
+ * Returns a table of the coordinate reached by each move from each coordinate.
+ * Only the moves given are filled in.
+ */
+function makeMoveTable(size, get, set, moves) {
+    const table = new Uint16Array(size * NUM_MOVES);
+
+    for (let i = 0; i < size; ++i) {
+        const c = CubieCube();
+        set(c, i);
+
+        for (const m of moves) {
+            const next = c.clone().move(m);
+            table[(i * NUM_MOVES) + m] = get(next);
+        }
+    }
+
+    return table;
+}
+
+/**
+ * Returns a table of the number of moves needed to solve
+ * two coordinates together, found by a breadth first search.
+ */
+function makePruningTable(moveTableA, sizeA, moveTableB, sizeB, moves) {
+    const table = new Int8Array(sizeA * sizeB).fill(-1);
+
+    table[0] = 0;
+    let filled = 1;
+    let depth = 0;
+
+    while (filled < table.length) {
+        for (let i = 0; i < table.length; ++i) {
+            if (table[i] !== depth) continue;
+
+            const a = Math.floor(i / sizeB);
+            const b = i % sizeB;
+
+            for (const m of moves) {
+                const j = (moveTableA[(a * NUM_MOVES) + m] * sizeB) +
+                    moveTableB[(b * NUM_MOVES) + m];
+
+                if (table[j] === -1) {
+                    table[j] = depth + 1;
+                    ++filled;
+                }
+            }
+        }
+        ++depth;
+    }
+
+    return table;
+}
+
+/**
+ * Creates the move and pruning tables if they have not been created yet.
+ * Takes a few seconds.
+ */
+function initTables() {
+    if (tables !== null) return;
+
+    const allMoves = [];
+    for (let m = 0; m < NUM_MOVES; ++m) allMoves.push(m);
+
+    const twistMove = makeMoveTable(NUM_TWISTS, getTwist, setTwist, allMoves);
+    const flipMove = makeMoveTable(NUM_FLIPS, getFlip, setFlip, allMoves);
+    const sliceMove = makeMoveTable(NUM_SLICES, getSlice, setSlice, allMoves);
+
+    const cornerPermMove = makeMoveTable(
+        NUM_CORNER_PERMS, getCornerPerm, setCornerPerm, PHASE_2_MOVES);
+    const udEdgePermMove = makeMoveTable(
+        NUM_UD_EDGE_PERMS, getUDEdgePerm, setUDEdgePerm, PHASE_2_MOVES);
+    const slicePermMove = makeMoveTable(
+        NUM_SLICE_PERMS, getSlicePerm, setSlicePerm, PHASE_2_MOVES);
+
+    tables = {
+        twistMove, flipMove, sliceMove,
+        cornerPermMove, udEdgePermMove, slicePermMove,
+        sliceTwistPrune: makePruningTable(
+            sliceMove, NUM_SLICES, twistMove, NUM_TWISTS, allMoves),
+        sliceFlipPrune: makePruningTable(
+            sliceMove, NUM_SLICES, flipMove, NUM_FLIPS, allMoves),
+        sliceCornerPrune: makePruningTable(
+            slicePermMove, NUM_SLICE_PERMS, cornerPermMove, NUM_CORNER_PERMS, PHASE_2_MOVES),
+        sliceEdgePrune: makePruningTable(
+            slicePermMove, NUM_SLICE_PERMS, udEdgePermMove, NUM_UD_EDGE_PERMS, PHASE_2_MOVES)
+    };
+}
+
+// Returns true if a move should not follow the previous move.
+function isRedundant(m, prev) {
+    if (prev === -1) return false;
+
+    const face = Math.floor(m / 3);
+    const prevFace = Math.floor(prev / 3);
+
+    // Same face, or opposite faces in the reverse order (e.g. D then U).
+    return face === prevFace || face === prevFace - 3;
+}
+
+// Number of search nodes between checks of the time limit.
+const NODES_PER_TIME_CHECK = 1024;
+
+/**
+ * Finds a solution for a cube.
+ * The first solution found is often longer than it needs to be
+ * (e.g. 8 moves for a cube one move from solved), so shorter solutions
+ * are searched for until none is found or improveTimeMs runs out.
+ * The result is the shortest found in that time, which may not be the shortest there is.
+ * cube - a CubieCube.
+ * options
+ *   .maxLength     the longest solution to accept.
+ *   .improveTimeMs time to spend looking for shorter solutions.
+ * Returns an array of move names (e.g. ["R", "U2", "F'"]),
+ * or null if there is no solution within maxLength moves.
+ */
+function solve(cube, options) {
+    const DEFAULTS = {
+        maxLength: 22,
+        improveTimeMs: 100
+    };
+    options = initOptions(options, DEFAULTS);
+
+    initTables();
+
+    let best = search(cube, options.maxLength, null);
+
+    const deadline = Date.now() + options.improveTimeMs;
+    while (best !== null && best.length > 0) {
+        const shorter = search(cube, best.length - 1, deadline);
+        if (shorter === null) break;
+
+        best = shorter;
+    }
+
+    return best;
+}
+
+/**
+ * Returns the first solution found within maxLength moves, or null.
+ * Gives up and returns null after the deadline (a Date.now() time) if one is given.
+ */
+function search(cube, maxLength, deadline) {
+    const t = tables;
+
+    const moves = [];
+    let solution = null;
+
+    let nodes = 0;
+    let isOutOfTime = false;
+    const checkTime = function () {
+        if (deadline !== null && ++nodes % NODES_PER_TIME_CHECK === 0) {
+            isOutOfTime = Date.now() > deadline;
+        }
+        return isOutOfTime;
+    };
+
+    function phase1(twist, flip, slice, depth, togo) {
+        if (checkTime()) return false;
+
+        if (togo === 0) {
+            if (twist !== 0 || flip !== 0 || slice !== 0) return false;
+
+            // A phase 1 solution ending in a G1 move was already tried at a shorter depth.
+            if (depth > 0 && PHASE_2_MOVES.includes(moves[depth - 1])) return false;
+
+            return startPhase2(depth);
+        }
+
+        const prev = depth > 0 ? moves[depth - 1] : -1;
+
+        for (let m = 0; m < NUM_MOVES; ++m) {
+            if (isRedundant(m, prev)) continue;
+
+            const nTwist = t.twistMove[(twist * NUM_MOVES) + m];
+            const nFlip = t.flipMove[(flip * NUM_MOVES) + m];
+            const nSlice = t.sliceMove[(slice * NUM_MOVES) + m];
+
+            const dist = Math.max(
+                t.sliceTwistPrune[(nSlice * NUM_TWISTS) + nTwist],
+                t.sliceFlipPrune[(nSlice * NUM_FLIPS) + nFlip]);
+            if (dist > togo - 1) continue;
+
+            moves[depth] = m;
+            if (phase1(nTwist, nFlip, nSlice, depth + 1, togo - 1)) return true;
+        }
+
+        return false;
+    }
+
+    function startPhase2(depth1) {
+        const c = cube.clone();
+        for (let i = 0; i < depth1; ++i) {
+            c.move(moves[i]);
+        }
+
+        const cornerPerm = getCornerPerm(c);
+        const udEdgePerm = getUDEdgePerm(c);
+        const slicePerm = getSlicePerm(c);
+
+        const maxDepth2 = Math.min(maxLength - depth1, MAX_PHASE_2_LENGTH);
+        for (let depth2 = 0; depth2 <= maxDepth2; ++depth2) {
+            if (phase2(cornerPerm, udEdgePerm, slicePerm, depth1, depth2)) {
+                solution = moves.slice(0, depth1 + depth2);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    function phase2(cornerPerm, udEdgePerm, slicePerm, depth, togo) {
+        if (checkTime()) return false;
+
+        if (togo === 0) {
+            return cornerPerm === 0 && udEdgePerm === 0 && slicePerm === 0;
+        }
+
+        const prev = depth > 0 ? moves[depth - 1] : -1;
+
+        for (const m of PHASE_2_MOVES) {
+            if (isRedundant(m, prev)) continue;
+
+            const nCorner = t.cornerPermMove[(cornerPerm * NUM_MOVES) + m];
+            const nEdge = t.udEdgePermMove[(udEdgePerm * NUM_MOVES) + m];
+            const nSlice = t.slicePermMove[(slicePerm * NUM_MOVES) + m];
+
+            const dist = Math.max(
+                t.sliceCornerPrune[(nSlice * NUM_CORNER_PERMS) + nCorner],
+                t.sliceEdgePrune[(nSlice * NUM_UD_EDGE_PERMS) + nEdge]);
+            if (dist > togo - 1) continue;
+
+            moves[depth] = m;
+            if (phase2(nCorner, nEdge, nSlice, depth + 1, togo - 1)) return true;
+        }
+
+        return false;
+    }
+
+    const twist = getTwist(cube);
+    const flip = getFlip(cube);
+    const slice = getSlice(cube);
+
+    for (let depth1 = 0; depth1 <= maxLength; ++depth1) {
+        if (phase1(twist, flip, slice, 0, depth1) || isOutOfTime) break;
+    }
+
+    if (solution === null) return null;
+
+    return solution.map(m => MOVE_NAMES[m]);
+}
+
+export { initTables, solve };